@@ -0,0 +1,90 @@
+// ==============================
+// Duplicate track detection
+// Groups tracks that are probably the same recording and combines their details
+// ==============================
+//
+// Two tracks are candidates when their normalized title and artist (and album, unless
+// ignored) are equal and their durations differ by at most the tolerance. Normalizing
+// folds case, accents, punctuation, "&"/"and" and "(Remastered ...)" suffixes, so
+// "Don't Stop Me Now - Remastered 2011" by "Queen" matches "dont stop me now" by "QUEEN".
+
+const DEFAULT_DURATION_TOLERANCE = 2; // seconds
+
+function normalizeText(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // accents
+    .toLowerCase()
+    .replace(/[([][^)\]]*remaster[^)\]]*[)\]]/g, ' ')
+    .replace(/\s+-\s+[^-]*remaster.*$/, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Split tracks sharing a key into runs whose durations are within `tolerance` of the
+// run's shortest one. Tracks without a duration can't be told apart and join the first run.
+function durationRuns(tracks, tolerance) {
+  const timed = tracks.filter(t => typeof t.duration === 'number').sort((a, b) => a.duration - b.duration);
+  const untimed = tracks.filter(t => typeof t.duration !== 'number');
+
+  const runs = [];
+  for (const track of timed) {
+    const run = runs[runs.length - 1];
+    if (run && track.duration - run[0].duration <= tolerance) run.push(track);
+    else runs.push([track]);
+  }
+  if (!runs.length) return [untimed];
+  runs[0].push(...untimed);
+  return runs;
+}
+
+// The track to keep: the one with audio, then the one with the most details, then the oldest
+function pickCanonical(tracks) {
+  const details = t => ['artist', 'album', 'duration'].filter(f => t[f] !== undefined && t[f] !== null).length +
+    Object.keys(t.metadata || {}).length;
+  return [...tracks].sort((a, b) => (
+    Number(Boolean(b.file)) - Number(Boolean(a.file)) ||
+    details(b) - details(a) ||
+    new Date(a.createdAt) - new Date(b.createdAt)
+  ))[0];
+}
+
+// Groups of two or more likely duplicates, largest first:
+// [{ title, artist, album, tracks, canonicalId }]
+function findDuplicateGroups(tracks, { durationTolerance = DEFAULT_DURATION_TOLERANCE, ignoreAlbum = false } = {}) {
+  const buckets = new Map();
+  for (const track of tracks) {
+    const parts = [normalizeText(track.title), normalizeText(track.artist), ignoreAlbum ? '' : normalizeText(track.album)];
+    const key = parts.join('\u0000');
+    if (!buckets.has(key)) buckets.set(key, { parts, tracks: [] });
+    buckets.get(key).tracks.push(track);
+  }
+
+  const groups = [];
+  for (const { parts: [title, artist, album], tracks: bucket } of buckets.values()) {
+    if (bucket.length < 2) continue;
+    for (const run of durationRuns(bucket, durationTolerance)) {
+      if (run.length < 2) continue;
+      groups.push({ title, artist, album: ignoreAlbum ? undefined : album, tracks: run, canonicalId: pickCanonical(run)._id });
+    }
+  }
+  return groups.sort((a, b) => b.tracks.length - a.tracks.length || a.title.localeCompare(b.title));
+}
+
+// Details of the canonical track after absorbing the duplicates: its own values win,
+// missing ones are filled from the duplicates (oldest first), metadata keys are combined
+function mergedDetails(canonical, duplicates) {
+  const sources = [canonical, ...[...duplicates].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))];
+  const first = field => sources.map(t => t[field]).find(value => value !== undefined && value !== null && value !== '');
+  const metadata = Object.assign({}, ...sources.slice(1).reverse().map(t => t.metadata), canonical.metadata);
+  return {
+    artist: first('artist'),
+    album: first('album'),
+    duration: first('duration'),
+    metadata: Object.keys(metadata).length ? metadata : undefined,
+  };
+}
+
+module.exports = { DEFAULT_DURATION_TOLERANCE, normalizeText, findDuplicateGroups, pickCanonical, mergedDetails };
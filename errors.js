@@ -0,0 +1,215 @@
+// ==============================
+// Error types and centralized error handling
+// Every error response is RFC 7807 application/problem+json
+// ==============================
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Base class for errors that map directly onto an HTTP response.
+// `code` is a stable, machine-readable identifier; `extra` is merged into the problem body.
+class ApiError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message, extra) {
+    super(400, 'BAD_REQUEST', message, extra);
+  }
+}
+
+// Field-level problems; `errors` is a list of { location, field, message }
+class RequestValidationError extends ApiError {
+  constructor(errors, message = 'Request validation failed') {
+    super(400, 'VALIDATION_FAILED', message, { errors });
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Authentication required') {
+    super(401, 'UNAUTHORIZED', message);
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'You do not have access to this resource') {
+    super(403, 'FORBIDDEN', message);
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found') {
+    super(404, 'NOT_FOUND', message);
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, extra, code = 'CONFLICT') {
+    super(409, code, message, extra);
+  }
+}
+
+class PreconditionFailedError extends ApiError {
+  constructor(message = 'The resource has changed since it was last fetched') {
+    super(412, 'PRECONDITION_FAILED', message);
+  }
+}
+
+class PayloadTooLargeError extends ApiError {
+  constructor(message) {
+    super(413, 'PAYLOAD_TOO_LARGE', message);
+  }
+}
+
+class UnsupportedMediaTypeError extends ApiError {
+  constructor(message) {
+    super(415, 'UNSUPPORTED_MEDIA_TYPE', message);
+  }
+}
+
+class RangeNotSatisfiableError extends ApiError {
+  constructor(message) {
+    super(416, 'RANGE_NOT_SATISFIABLE', message);
+  }
+}
+
+class UnprocessableEntityError extends ApiError {
+  constructor(message, extra, code = 'UNPROCESSABLE_ENTITY') {
+    super(422, code, message, extra);
+  }
+}
+
+// The server can't do what was asked in this setup (e.g. atomic requests without transactions)
+class NotImplementedError extends ApiError {
+  constructor(message, extra, code = 'NOT_IMPLEMENTED') {
+    super(501, code, message, extra);
+  }
+}
+
+// `retryAfter` is in seconds (also sent as the Retry-After header by the rate limiter)
+class TooManyRequestsError extends ApiError {
+  constructor(message, retryAfter) {
+    super(429, 'TOO_MANY_REQUESTS', message, { retryAfter });
+  }
+}
+
+// Map anything thrown by a route (ours, Mongoose, Mongo driver, body parser) onto an ApiError
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+
+  switch (err.name) {
+    case 'CastError':
+      return new RequestValidationError(
+        [{ location: err.path === '_id' ? 'path' : 'body', field: err.path, message: `must be a valid ${err.kind}` }],
+        `Invalid value for ${err.path}`
+      );
+    case 'ValidationError':
+      return new RequestValidationError(Object.values(err.errors).map(e => ({
+        location: 'body',
+        field: e.path,
+        message: e.kind === 'required' ? 'is required' : e.message,
+      })));
+    case 'VersionError':
+      return new ConflictError('The resource was modified by another request. Please retry.', {}, 'CONCURRENT_MODIFICATION');
+    default:
+      break;
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(`A record with the same ${fields.join(', ') || 'key'} already exists.`, { fields }, 'DUPLICATE_KEY');
+  }
+  // body-parser / raw-body errors
+  if (err.type === 'entity.parse.failed') return new BadRequestError('Request body is not valid JSON.');
+  if (err.type === 'entity.too.large') return new PayloadTooLargeError('Request body is too large.');
+  if (err.type === 'encoding.unsupported' || err.type === 'charset.unsupported') return new UnsupportedMediaTypeError(err.message);
+
+  const status = Number(err.status || err.statusCode);
+  if (status >= 400 && status < 500) return new ApiError(status, http.STATUS_CODES[status].toUpperCase().replace(/\W+/g, '_'), err.message);
+  return null;
+}
+
+// Assign every request an id (honouring a sane incoming X-Request-Id) and echo it back
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// The request URL with any ?access_token= (see GET /api/v1/events) masked, for logs and problems
+function safeUrl(req) {
+  return req.originalUrl.replace(/([?&]access_token=)[^&]*/g, '$1***');
+}
+
+// One log line per request, tagged with its id
+function requestLogger(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    console.log(`[${req.id}] ${req.method} ${safeUrl(req)} ${res.statusCode} ${ms.toFixed(1)}ms`);
+  });
+  next();
+}
+
+// Fallback for requests no route handled
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+}
+
+// Render errors as problem+json. Unexpected errors are logged and reported generically.
+function errorHandler(err, req, res, next) {
+  // A streamed response that fails midway can't be replaced; Express's handler cuts it off
+  if (res.headersSent) {
+    console.error(`[${req.id}] ❌ Error after the response started on ${req.method} ${safeUrl(req)}:`, err);
+    return next(err);
+  }
+
+  let apiError = toApiError(err);
+  if (!apiError) {
+    console.error(`[${req.id}] ❌ Unhandled error on ${req.method} ${safeUrl(req)}:`, err);
+    apiError = new ApiError(500, 'INTERNAL_ERROR', 'An internal server error occurred.');
+  }
+
+  res
+    .status(apiError.status)
+    .type('application/problem+json')
+    .json({
+      type: `/problems/${apiError.code.toLowerCase().replace(/_/g, '-')}`,
+      title: http.STATUS_CODES[apiError.status],
+      status: apiError.status,
+      detail: apiError.message,
+      code: apiError.code,
+      instance: safeUrl(req),
+      requestId: req.id,
+      ...apiError.extra,
+    });
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  RequestValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  RangeNotSatisfiableError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  NotImplementedError,
+  toApiError,
+  requestId,
+  requestLogger,
+  notFoundHandler,
+  errorHandler,
+};
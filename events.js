@@ -0,0 +1,60 @@
+// ==============================
+// Real-time events
+// In-process publish/subscribe for pushing changes to connected clients
+// ==============================
+//
+// An event is { id, type, userId, clientId, data, at }, addressed to a user: every open
+// connection of that user (phone, desktop...) receives it. Recent events are kept so a
+// client reconnecting with the id of the last event it saw can catch up on what it missed.
+// Only connections to this process are reached.
+
+const crypto = require('crypto');
+
+function createEventHub({ backlog = 500 } = {}) {
+  // Ids are '<hub>.<sequence>' so ids handed out before a restart are recognised as stale
+  const hubId = crypto.randomBytes(4).toString('hex');
+  let sequence = 0;
+  const recent = []; // oldest first, at most `backlog`
+  const listeners = new Map(); // userId -> Set of listener functions
+
+  function publish(userId, type, data, { clientId } = {}) {
+    const event = { id: `${hubId}.${++sequence}`, type, userId: String(userId), clientId, data, at: new Date() };
+    recent.push(event);
+    if (recent.length > backlog) recent.shift();
+    for (const listener of listeners.get(event.userId) || []) listener(event);
+    return event;
+  }
+
+  // Call `listener(event)` for each new event of the user; returns a function that stops it
+  function subscribe(userId, listener) {
+    const key = String(userId);
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+    return () => {
+      listeners.get(key)?.delete(listener);
+      if (!listeners.get(key)?.size) listeners.delete(key);
+    };
+  }
+
+  // The user's events after `lastId`, or null when some of them are no longer known
+  // (the id is from before a restart or older than the backlog)
+  function since(userId, lastId) {
+    const [hub, seq] = String(lastId).split('.');
+    const last = Number(seq);
+    if (hub !== hubId || !Number.isInteger(last) || last > sequence) return null;
+    const oldest = recent.length ? Number(recent[0].id.split('.')[1]) : sequence + 1;
+    if (last < oldest - 1) return null;
+    return recent.filter(event => event.userId === String(userId) && Number(event.id.split('.')[1]) > last);
+  }
+
+  // Number of open subscriptions
+  function size() {
+    let count = 0;
+    for (const set of listeners.values()) count += set.size;
+    return count;
+  }
+
+  return { publish, subscribe, since, size };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,113 @@
+// ==============================
+// Audio file inspection
+// Recognises uploaded MP3, FLAC, Ogg and M4A files and reads their tags
+// ==============================
+//
+// Tags come from ID3 (MP3), Vorbis comments (FLAC, Ogg) or iTunes atoms (M4A), read
+// with music-metadata. readAudioFile(path) and readAudioStream(stream) give the Track
+// fields they fill, the technical details of the stream and the embedded cover art, if any.
+
+const path = require('path');
+const { UnsupportedMediaTypeError } = require('./errors');
+
+// Accepted formats: file extension and Content-Type used when storing and serving them
+const AUDIO_FORMATS = {
+  mp3: { mimeType: 'audio/mpeg' },
+  flac: { mimeType: 'audio/flac' },
+  ogg: { mimeType: 'audio/ogg' },
+  m4a: { mimeType: 'audio/mp4' },
+};
+
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+// music-metadata is published as an ES module only
+let parserPromise;
+function loadParser() {
+  parserPromise ??= import('music-metadata');
+  return parserPromise;
+}
+
+// Our format name for what music-metadata detected, or null when it isn't accepted
+function detectFormat({ container = '', codec = '' }) {
+  if (container === 'MPEG' && /layer 3/i.test(codec)) return 'mp3';
+  if (container === 'FLAC') return 'flac';
+  if (container === 'Ogg') return 'ogg';
+  if (/^(M4A|M4B|mp4|mp42|isom|iso\d)\b/i.test(container) && /aac|alac/i.test(codec)) return 'm4a';
+  return null;
+}
+
+// Extra tags kept in Track.metadata (only the ones present in the file; undefined if none are)
+function metadataFromTags(common) {
+  const metadata = {
+    genre: common.genre?.length ? common.genre.join(', ') : undefined,
+    year: common.year,
+    trackNumber: common.track?.no ?? undefined,
+    trackCount: common.track?.of ?? undefined,
+    discNumber: common.disk?.no ?? undefined,
+    albumArtist: common.albumartist,
+    composer: common.composer?.length ? common.composer.join(', ') : undefined,
+    label: common.label?.length ? common.label.join(', ') : undefined,
+    bpm: common.bpm,
+  };
+  const present = Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return present.length ? Object.fromEntries(present) : undefined;
+}
+
+// Describe parsed audio. `name` (e.g. the uploaded file name) stands in for a missing title tag.
+function describeAudio({ common, format }, selectCover, name) {
+  const formatName = detectFormat(format);
+  if (!formatName) {
+    throw new UnsupportedMediaTypeError(`Unsupported audio format (${format.container || 'unknown'}); use MP3, FLAC, Ogg or M4A.`);
+  }
+
+  const picture = selectCover(common.picture);
+  return {
+    format: formatName,
+    mimeType: AUDIO_FORMATS[formatName].mimeType,
+    fields: {
+      title: common.title || path.parse(name).name || undefined,
+      artist: common.artist || common.artists?.join(', '),
+      album: common.album,
+      duration: format.duration === undefined ? undefined : Math.round(format.duration),
+      metadata: metadataFromTags(common),
+    },
+    technical: {
+      codec: format.codec,
+      bitrate: format.bitrate === undefined ? undefined : Math.round(format.bitrate),
+      sampleRate: format.sampleRate,
+      channels: format.numberOfChannels,
+    },
+    cover: picture && IMAGE_EXTENSIONS[picture.format]
+      ? { data: Buffer.from(picture.data), mimeType: picture.format, extension: IMAGE_EXTENSIONS[picture.format] }
+      : null,
+  };
+}
+
+// Parse with `parse(musicMetadata)` and describe the result. Throws UnsupportedMediaTypeError
+// for anything but MP3, FLAC, Ogg or M4A audio.
+async function inspect(parse, name) {
+  const parser = await loadParser();
+  let parsed;
+  try {
+    parsed = await parse(parser);
+  } catch (err) {
+    throw new UnsupportedMediaTypeError('Could not read the file as audio; use MP3, FLAC, Ogg or M4A.');
+  }
+  return describeAudio(parsed, parser.selectCover, name);
+}
+
+// Inspect the audio file at `filePath` (e.g. an upload saved to a temporary file)
+function readAudioFile(filePath, originalName = '') {
+  return inspect(({ parseFile }) => parseFile(filePath, { duration: true }), originalName);
+}
+
+// Inspect audio read from `stream` (e.g. a file in media storage). `name` is its file name.
+async function readAudioStream(stream, { size, name = '' } = {}) {
+  try {
+    return await inspect(({ parseStream }) => parseStream(stream, { size, path: name }, { duration: true }), name);
+  } finally {
+    stream.destroy(); // the parser may stop before the end
+  }
+}
+
+module.exports = { AUDIO_FORMATS, readAudioFile, readAudioStream };
@@ -0,0 +1,97 @@
+// ==============================
+// Metrics
+// Counters, gauges and histograms rendered in the Prometheus text format
+// ==============================
+//
+// A registry holds named metrics; each labelled series is kept by its label values.
+// registry.render() produces the body of GET /metrics.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // seconds
+
+// name{a="x",b="y"} with label values escaped as the format requires
+function series(name, labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return name;
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `${name}{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // Pick out the declared labels, so callers can pass a larger object
+  const pick = (labelNames, labels = {}) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // labelKey -> { labels, value }
+    metrics.push({
+      name, help, type: 'counter',
+      lines: () => [...values.values()].map(({ labels, value }) => `${series(name, labels)} ${value}`),
+    });
+    return {
+      inc(labels, amount = 1) {
+        const key = labelKey(labelNames, labels || {});
+        if (!values.has(key)) values.set(key, { labels: pick(labelNames, labels), value: 0 });
+        values.get(key).value += amount;
+      },
+    };
+  }
+
+  // A gauge whose value is read when metrics are rendered. `collect()` returns a number,
+  // or a list of { labels, value } for labelled gauges.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name, help, type: 'gauge',
+      lines: () => {
+        const value = collect();
+        return Array.isArray(value)
+          ? value.map(v => `${series(name, v.labels)} ${v.value}`)
+          : [`${name} ${value}`];
+      },
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const values = new Map(); // labelKey -> { labels, counts (per bucket), sum, count }
+    metrics.push({
+      name, help, type: 'histogram',
+      lines: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${series(`${name}_bucket`, { ...labels, le })} ${counts[i]}`),
+        `${series(`${name}_bucket`, { ...labels, le: '+Inf' })} ${count}`,
+        `${series(`${name}_sum`, labels)} ${sum}`,
+        `${series(`${name}_count`, labels)} ${count}`,
+      ]),
+    });
+    return {
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels || {});
+        if (!values.has(key)) values.set(key, { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = values.get(key);
+        buckets.forEach((le, i) => { if (value <= le) entry.counts[i] += 1; });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      // Start timing; the returned function observes the seconds elapsed with the given labels
+      startTimer() {
+        const start = process.hrtime.bigint();
+        return labels => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    return metrics.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...lines(),
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
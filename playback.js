@@ -0,0 +1,170 @@
+// ==============================
+// Playback session engine
+// Queue, up next, shuffle and repeat state transitions
+// ==============================
+//
+// A session plays `queue` (track ids) in the order given by `order`, a list of
+// indexes into `queue`. `currentIndex` points into `order`. Tracks inserted
+// into `upNext` play before the session continues with the next `order` slot.
+
+const REPEAT_MODES = ['off', 'one', 'all'];
+const PREVIOUS_RESTART_SECONDS = 3; // "previous" past this point restarts the current track
+
+// Fisher-Yates shuffle of 0..length-1, keeping `firstIndex` at the front
+function shuffledOrder(length, firstIndex) {
+  const rest = [...Array(length).keys()].filter(i => i !== firstIndex);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return firstIndex === undefined ? rest : [firstIndex, ...rest];
+}
+
+function identityOrder(length) {
+  return [...Array(length).keys()];
+}
+
+// Index into `queue` of the current base (non up-next) track
+function currentQueueIndex(session) {
+  return session.order[session.currentIndex];
+}
+
+function startTrack(session, trackId) {
+  session.trackId = trackId;
+  session.position = 0;
+  session.isPlaying = true;
+  session.startedAt = Date.now();
+}
+
+// Set up order and current track for a freshly created session
+function initSession(session, { startIndex = 0, shuffle = false, repeat = 'off' } = {}) {
+  session.shuffle = shuffle;
+  session.repeat = repeat;
+  session.upNext = [];
+  session.playingFromUpNext = false;
+  session.order = shuffle ? shuffledOrder(session.queue.length, startIndex) : identityOrder(session.queue.length);
+  session.currentIndex = shuffle ? 0 : startIndex;
+  if (session.queue.length) startTrack(session, session.queue[currentQueueIndex(session)]);
+}
+
+// Advance to the next track. `ended` means the current track finished on its own,
+// which is the only case repeat-one replays it. Returns false at the end of the queue.
+function next(session, { ended = false } = {}) {
+  if (ended && session.repeat === 'one' && session.trackId) {
+    startTrack(session, session.trackId);
+    return true;
+  }
+
+  if (session.upNext.length) {
+    startTrack(session, session.upNext.shift());
+    session.playingFromUpNext = true;
+    return true;
+  }
+  session.playingFromUpNext = false;
+
+  if (session.currentIndex + 1 < session.order.length) {
+    session.currentIndex += 1;
+  } else if (session.repeat === 'all' && session.order.length) {
+    session.currentIndex = 0;
+  } else {
+    session.isPlaying = false;
+    session.position = 0;
+    return false;
+  }
+  startTrack(session, session.queue[currentQueueIndex(session)]);
+  return true;
+}
+
+// Go back a track, or restart the current one if it has been playing a while
+function previous(session) {
+  if ((session.position || 0) > PREVIOUS_RESTART_SECONDS || !session.order.length) {
+    session.position = 0;
+    return;
+  }
+
+  if (session.playingFromUpNext) {
+    // Return to the base track that was interrupted by the up next queue
+    session.playingFromUpNext = false;
+  } else if (session.currentIndex > 0) {
+    session.currentIndex -= 1;
+  } else if (session.repeat === 'all') {
+    session.currentIndex = session.order.length - 1;
+  }
+  startTrack(session, session.queue[currentQueueIndex(session)]);
+}
+
+// Toggle shuffle. Turning it on keeps the current track first and shuffles the
+// rest once, so the order stays stable for the life of the session.
+function setShuffle(session, shuffle) {
+  if (session.shuffle === shuffle) return;
+  const current = currentQueueIndex(session);
+  session.shuffle = shuffle;
+  if (shuffle) {
+    session.order = shuffledOrder(session.queue.length, current);
+    session.currentIndex = 0;
+  } else {
+    session.order = identityOrder(session.queue.length);
+    session.currentIndex = current ?? 0;
+  }
+}
+
+// Insert a track into up next, either to play right after the current one or at the end
+function enqueue(session, trackId, { playNext = false } = {}) {
+  if (playNext) session.upNext.unshift(trackId);
+  else session.upNext.push(trackId);
+}
+
+// Drop every occurrence of a track from the session (e.g. because it was deleted).
+// Returns true when it was the track playing, which leaves the session without a current track.
+function removeTrack(session, trackId) {
+  const id = String(trackId).toLowerCase(); // ObjectIds print as lowercase hex
+  session.upNext = session.upNext.filter(t => String(t) !== id);
+
+  // Old queue index -> new queue index for the tracks that stay
+  const remap = new Map();
+  const queue = [];
+  session.queue.forEach((t, i) => {
+    if (String(t) === id) return;
+    remap.set(i, queue.length);
+    queue.push(t);
+  });
+
+  // The current slot keeps its place; if it was removed, the following track takes it
+  const keptBefore = session.order.slice(0, session.currentIndex).filter(i => remap.has(i)).length;
+  session.order = session.order.filter(i => remap.has(i)).map(i => remap.get(i));
+  session.queue = queue;
+  session.currentIndex = Math.min(keptBefore, Math.max(session.order.length - 1, 0));
+
+  return String(session.trackId) === id;
+}
+
+// Point every occurrence of the tracks in `fromIds` at `toId` (e.g. when duplicates are
+// merged). Queue positions and the current track's place are unchanged.
+function replaceTracks(session, fromIds, toId) {
+  const from = new Set(fromIds.map(id => String(id).toLowerCase()));
+  const swap = t => (from.has(String(t)) ? toId : t);
+  session.queue = session.queue.map(swap);
+  session.upNext = session.upNext.map(swap);
+  if (session.trackId) session.trackId = swap(session.trackId);
+}
+
+// Track ids that will play after the current one (up next first), at most `limit`
+function upcoming(session, limit) {
+  const rest = session.order.slice(session.currentIndex + 1).map(i => session.queue[i]);
+  if (session.repeat === 'all') {
+    rest.push(...session.order.slice(0, session.currentIndex + 1).map(i => session.queue[i]));
+  }
+  return [...session.upNext, ...rest].slice(0, limit);
+}
+
+module.exports = {
+  REPEAT_MODES,
+  initSession,
+  next,
+  previous,
+  setShuffle,
+  enqueue,
+  removeTrack,
+  replaceTracks,
+  upcoming,
+};
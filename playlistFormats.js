@@ -0,0 +1,250 @@
+// ==============================
+// Playlist file formats
+// M3U / M3U8, XSPF and portable JSON export + parsing
+// ==============================
+//
+// Exporters take a playlist ({ name, description }), its tracks in play order
+// and a `locationFor(track)` callback for the URI written per entry.
+// Parsers return { name, items, errors } where each item is
+// { title, artist, album, duration, location, metadata, line } and each error is
+// { line, text, reason }; `line` is the source line (M3U) or entry number (XSPF/JSON).
+
+const FORMATS = {
+  m3u: { contentType: 'audio/x-mpegurl', extension: 'm3u' },
+  m3u8: { contentType: 'application/vnd.apple.mpegurl; charset=utf-8', extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const JSON_FORMAT_ID = 'playlist-json';
+
+// ---- Export ----
+
+function toM3U(playlist, tracks, locationFor) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+  for (const track of tracks) {
+    const label = track.artist ? `${track.artist} - ${track.title}` : track.title;
+    lines.push(`#EXTINF:${Math.round(track.duration ?? -1)},${label}`);
+    if (track.album) lines.push(`#EXTALB:${track.album}`);
+    lines.push(locationFor(track));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXSPF(playlist, tracks, locationFor) {
+  const element = (tag, value) => (value == null || value === '' ? '' : `      <${tag}>${escapeXml(value)}</${tag}>\n`);
+  const trackList = tracks.map(track => (
+    '    <track>\n' +
+    element('location', locationFor(track)) +
+    element('identifier', track._id) +
+    element('title', track.title) +
+    element('creator', track.artist) +
+    element('album', track.album) +
+    element('duration', track.duration == null ? null : Math.round(track.duration * 1000)) + // XSPF uses milliseconds
+    '    </track>\n'
+  )).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+    `  <title>${escapeXml(playlist.name)}</title>\n` +
+    (playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>\n` : '') +
+    `  <trackList>\n${trackList}  </trackList>\n` +
+    '</playlist>\n';
+}
+
+function toJSON(playlist, tracks, locationFor) {
+  return JSON.stringify({
+    format: JSON_FORMAT_ID,
+    version: 1,
+    name: playlist.name,
+    description: playlist.description,
+    tracks: tracks.map(track => ({
+      title: track.title,
+      artist: track.artist,
+      album: track.album,
+      duration: track.duration,
+      location: locationFor(track),
+      metadata: track.metadata,
+    })),
+  }, null, 2);
+}
+
+// Serialize a playlist; m3u is Latin-1 encoded, every other format UTF-8
+function exportPlaylist(format, playlist, tracks, locationFor) {
+  switch (format) {
+    case 'm3u': return Buffer.from(toM3U(playlist, tracks, locationFor), 'latin1');
+    case 'm3u8': return Buffer.from(toM3U(playlist, tracks, locationFor), 'utf8');
+    case 'xspf': return Buffer.from(toXSPF(playlist, tracks, locationFor), 'utf8');
+    case 'json': return Buffer.from(toJSON(playlist, tracks, locationFor), 'utf8');
+    default: throw new Error(`Unsupported playlist format: ${format}`);
+  }
+}
+
+// ---- Import ----
+
+// "Artist - Title" -> { artist, title }; without a separator the whole label is the title
+function splitLabel(label) {
+  const separator = label.indexOf(' - ');
+  if (separator === -1) return { title: label.trim() };
+  return { artist: label.slice(0, separator).trim(), title: label.slice(separator + 3).trim() };
+}
+
+// File name without directories or extension, used when an entry has no #EXTINF
+function titleFromLocation(location) {
+  let file = location.split(/[\\/]/).pop() || '';
+  try {
+    file = decodeURIComponent(file);
+  } catch (err) {
+    // Not percent-encoded after all, keep it as written
+  }
+  return file.replace(/\.[^.]+$/, '').trim();
+}
+
+function parseM3U(text) {
+  const result = { name: undefined, items: [], errors: [] };
+  let pending = null; // info from #EXTINF / #EXTALB waiting for its location line
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNumber = i + 1;
+    if (!line || line === '#EXTM3U') return;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      result.name = line.slice('#PLAYLIST:'.length).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      const match = /^#EXTINF:\s*(-?\d+(?:\.\d+)?)[^,]*,(.*)$/.exec(line);
+      if (!match) {
+        result.errors.push({ line: lineNumber, text: raw, reason: 'Malformed #EXTINF line' });
+        pending = null;
+        return;
+      }
+      const duration = Number(match[1]);
+      pending = { ...splitLabel(match[2]), duration: duration >= 0 ? duration : undefined, line: lineNumber };
+    } else if (line.startsWith('#EXTALB:')) {
+      pending = { ...pending, album: line.slice('#EXTALB:'.length).trim() };
+    } else if (!line.startsWith('#')) {
+      const item = { line: lineNumber, ...pending, location: line };
+      if (!item.title) item.title = titleFromLocation(line);
+      if (!item.title) result.errors.push({ line: lineNumber, text: raw, reason: 'Could not determine a title' });
+      else result.items.push(item);
+      pending = null;
+    }
+    // Other # lines are comments or extensions we don't use
+  });
+
+  return result;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Text content of the first direct <tag> in an XML fragment (XSPF needs nothing fancier)
+function xmlElement(fragment, tag) {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`).exec(fragment);
+  return match ? decodeXml(match[1]) : undefined;
+}
+
+function parseXSPF(text) {
+  const result = { name: undefined, items: [], errors: [] };
+  if (!/<playlist[\s>]/.test(text)) {
+    result.errors.push({ line: 0, text: text.slice(0, 80), reason: 'Not an XSPF document' });
+    return result;
+  }
+
+  const trackListStart = text.indexOf('<trackList');
+  result.name = xmlElement(trackListStart === -1 ? text : text.slice(0, trackListStart), 'title');
+
+  const tracks = text.match(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/g) || [];
+  tracks.forEach((fragment, i) => {
+    const location = xmlElement(fragment, 'location');
+    const duration = Number(xmlElement(fragment, 'duration'));
+    const item = {
+      line: i + 1,
+      title: xmlElement(fragment, 'title') || (location && titleFromLocation(location)),
+      artist: xmlElement(fragment, 'creator'),
+      album: xmlElement(fragment, 'album'),
+      duration: Number.isFinite(duration) && duration > 0 ? duration / 1000 : undefined,
+      location,
+    };
+    if (!item.title) result.errors.push({ line: i + 1, text: fragment.slice(0, 200), reason: 'Track has no title or location' });
+    else result.items.push(item);
+  });
+
+  return result;
+}
+
+function parseJSON(input) {
+  const result = { name: undefined, items: [], errors: [] };
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      result.errors.push({ line: 0, text: input.slice(0, 80), reason: `Invalid JSON: ${err.message}` });
+      return result;
+    }
+  }
+  if (!doc || !Array.isArray(doc.tracks)) {
+    result.errors.push({ line: 0, text: '', reason: 'Expected an object with a tracks array' });
+    return result;
+  }
+
+  result.name = typeof doc.name === 'string' ? doc.name : undefined;
+  result.description = typeof doc.description === 'string' ? doc.description : undefined;
+  doc.tracks.forEach((track, i) => {
+    if (!track || typeof track.title !== 'string' || !track.title.trim()) {
+      result.errors.push({ line: i + 1, text: JSON.stringify(track).slice(0, 200), reason: 'Track has no title' });
+      return;
+    }
+    result.items.push({
+      line: i + 1,
+      title: track.title.trim(),
+      artist: typeof track.artist === 'string' ? track.artist : undefined,
+      album: typeof track.album === 'string' ? track.album : undefined,
+      duration: typeof track.duration === 'number' ? track.duration : undefined,
+      location: typeof track.location === 'string' ? track.location : undefined,
+      metadata: track.metadata && typeof track.metadata === 'object' ? track.metadata : undefined,
+    });
+  });
+  return result;
+}
+
+// Guess the format of an uploaded playlist from its content
+function detectFormat(content) {
+  if (typeof content !== 'string') return 'json';
+  const head = content.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('{')) return 'json';
+  if (head.startsWith('<')) return 'xspf';
+  return 'm3u8';
+}
+
+function parsePlaylist(format, content) {
+  switch (format) {
+    case 'm3u':
+    case 'm3u8': return parseM3U(String(content));
+    case 'xspf': return parseXSPF(String(content));
+    case 'json': return parseJSON(content);
+    default: throw new Error(`Unsupported playlist format: ${format}`);
+  }
+}
+
+module.exports = { FORMATS, exportPlaylist, parsePlaylist, detectFormat };
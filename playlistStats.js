@@ -0,0 +1,100 @@
+// ==============================
+// Playlist statistics
+// Aggregation stages summing up a playlist's entries and the tracks behind them
+// ==============================
+//
+// statsStages() expects one document per entry, shaped { entry, track } where `entry` is
+// the playlist entry ({ _id, trackId, order, addedAt, updatedAt }) and `track` the Track it
+// points at (missing if the track is gone). It ends in a single document that formatStats()
+// turns into:
+//
+//   { trackCount, uniqueTrackCount, totalDuration, unknownDurationCount,
+//     artists: [{ name, count, duration }], albums: [{ name, artist, count, duration }],
+//     genres: [{ name, count, share }], lastModifiedEntry, computedAt }
+//
+// Breakdowns are sorted by count, largest first. Genres come from metadata.genre, which
+// may hold several comma-separated names ('Rock, Pop') and are matched case-insensitively.
+
+const DEFAULT_BREAKDOWN_LIMIT = 50;
+
+const durationOrZero = { $cond: [{ $isNumber: '$track.duration' }, '$track.duration', 0] };
+
+function statsStages({ breakdownLimit = DEFAULT_BREAKDOWN_LIMIT } = {}) {
+  const breakdown = group => [
+    { $group: { ...group, count: { $sum: 1 }, duration: { $sum: durationOrZero } } },
+    { $sort: { count: -1, duration: -1, _id: 1 } },
+    { $limit: breakdownLimit },
+  ];
+
+  return [{
+    $facet: {
+      totals: [{
+        $group: {
+          _id: null,
+          trackCount: { $sum: 1 },
+          uniqueTracks: { $addToSet: '$entry.trackId' },
+          totalDuration: { $sum: durationOrZero },
+          unknownDurationCount: { $sum: { $cond: [{ $isNumber: '$track.duration' }, 0, 1] } },
+        },
+      }],
+      artists: breakdown({ _id: { $ifNull: ['$track.artist', null] } }),
+      albums: breakdown({ _id: { album: { $ifNull: ['$track.album', null] }, artist: { $ifNull: ['$track.artist', null] } } }),
+      genres: [
+        {
+          $project: {
+            genre: {
+              $switch: {
+                branches: [
+                  { case: { $eq: [{ $type: '$track.metadata.genre' }, 'string'] }, then: { $split: ['$track.metadata.genre', ','] } },
+                  { case: { $isArray: '$track.metadata.genre' }, then: '$track.metadata.genre' },
+                ],
+                default: [],
+              },
+            },
+          },
+        },
+        { $unwind: '$genre' },
+        { $project: { genre: { $trim: { input: { $toString: '$genre' } } } } },
+        { $match: { genre: { $ne: '' } } },
+        { $group: { _id: { $toLower: '$genre' }, name: { $first: '$genre' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: breakdownLimit },
+      ],
+      lastModifiedEntry: [
+        { $match: { 'entry._id': { $exists: true } } },
+        { $addFields: { modifiedAt: { $ifNull: ['$entry.updatedAt', '$entry.addedAt'] } } },
+        { $sort: { modifiedAt: -1, 'entry.order': -1 } },
+        { $limit: 1 },
+        {
+          $project: {
+            _id: '$entry._id',
+            trackId: '$entry.trackId',
+            title: '$track.title',
+            order: '$entry.order',
+            addedAt: '$entry.addedAt',
+            updatedAt: '$modifiedAt',
+          },
+        },
+      ],
+    },
+  }];
+}
+
+// The document statsStages() produced (undefined for an empty playlist), as plain stats
+function formatStats(result) {
+  const totals = result?.totals[0];
+  const trackCount = totals?.trackCount || 0;
+  return {
+    trackCount,
+    uniqueTrackCount: totals?.uniqueTracks.length || 0,
+    totalDuration: totals?.totalDuration || 0,
+    unknownDurationCount: totals?.unknownDurationCount || 0,
+    artists: (result?.artists || []).map(a => ({ name: a._id, count: a.count, duration: a.duration })),
+    albums: (result?.albums || []).map(a => ({ name: a._id.album, artist: a._id.artist, count: a.count, duration: a.duration })),
+    genres: (result?.genres || []).map(g => ({ name: g.name, count: g.count, share: Math.round((g.count / trackCount) * 1000) / 1000 })),
+    lastModifiedEntry: result?.lastModifiedEntry[0] || null,
+    computedAt: new Date(),
+  };
+}
+
+module.exports = { statsStages, formatStats, DEFAULT_BREAKDOWN_LIMIT };
@@ -0,0 +1,118 @@
+// ==============================
+// Rate limiting
+// Fixed-window request counters with pluggable stores and RateLimit headers
+// ==============================
+//
+// A policy { name, limit, windowMs, key(req) } allows `limit` requests per window for each
+// key the function returns (an IP, an API key id...); a null key skips the policy. The
+// middleware counts the request against every policy that applies, answers with the
+// RateLimit-Limit/-Remaining/-Reset and RateLimit-Policy headers of the tightest one, and
+// fails with 429 and Retry-After once any is used up.
+//
+// A store implements:
+//   increment(key, windowMs)  count a hit in the current window of `key`; resolves to
+//                             { count, resetAt } where resetAt is when the window ends (ms)
+// createStore picks one by name; registerStore adds new ones.
+
+const { TooManyRequestsError } = require('./errors');
+
+// Counters in this process; each instance of the API counts separately
+function memoryStore() {
+  const counters = new Map(); // key -> { count, resetAt }
+  let nextSweep = 0;
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (now >= nextSweep) {
+        for (const [k, counter] of counters) if (counter.resetAt <= now) counters.delete(k);
+        nextSweep = now + 60 * 1000;
+      }
+
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: windowEnd(now, windowMs) };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { ...counter };
+    },
+  };
+}
+
+// Counters shared by every instance, kept in MongoDB. `model` is a Mongoose model with
+// { _id: String, count: Number, expiresAt: Date }, ideally with a TTL index on expiresAt.
+function mongoStore({ model }) {
+  if (!model) throw new Error('The mongo rate limit store needs a model');
+  return {
+    async increment(key, windowMs) {
+      const resetAt = windowEnd(Date.now(), windowMs);
+      const hit = () => model.findOneAndUpdate(
+        { _id: `${key}:${resetAt}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, new: true, lean: true }
+      );
+      let counter;
+      try {
+        counter = await hit();
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        counter = await hit(); // two first hits raced to create the counter; it exists now
+      }
+      return { count: counter.count, resetAt };
+    },
+  };
+}
+
+// Windows are aligned to multiples of their length, so every store agrees on them
+function windowEnd(now, windowMs) {
+  return (Math.floor(now / windowMs) + 1) * windowMs;
+}
+
+const stores = { memory: memoryStore, mongo: mongoStore };
+
+function registerStore(name, factory) {
+  stores[name] = factory;
+}
+
+function createStore({ store = 'memory', ...options } = {}) {
+  const factory = stores[store];
+  if (!factory) throw new Error(`Unknown rate limit store "${store}"; expected one of: ${Object.keys(stores).join(', ')}`);
+  return factory(options);
+}
+
+// Express middleware enforcing `policies`. When the store fails the request is let
+// through (and the error logged) rather than taking the API down with it.
+function rateLimit({ store, policies }) {
+  return async (req, res, next) => {
+    const applied = policies.map(policy => ({ policy, key: policy.key(req) })).filter(({ key }) => key);
+    let results;
+    try {
+      results = await Promise.all(applied.map(async ({ policy, key }) => {
+        const { count, resetAt } = await store.increment(`${policy.name}:${key}`, policy.windowMs);
+        return { policy, remaining: Math.max(0, policy.limit - count), exceeded: count > policy.limit, resetAt };
+      }));
+    } catch (err) {
+      console.error(`[${req.id}] ❌ Rate limit store failed; not limiting this request:`, err.message);
+      return next();
+    }
+    if (!results.length) return next();
+
+    const tightest = results.reduce((a, b) => (b.exceeded > a.exceeded || (b.exceeded === a.exceeded && b.remaining < a.remaining) ? b : a));
+    const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(tightest.policy.limit),
+      'RateLimit-Remaining': String(tightest.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': results.map(({ policy }) => `${policy.limit};w=${Math.round(policy.windowMs / 1000)};comment="${policy.name}"`).join(', '),
+    });
+
+    if (tightest.exceeded) {
+      res.set('Retry-After', String(resetSeconds));
+      throw new TooManyRequestsError(`Too many requests (${tightest.policy.name} limit); retry in ${resetSeconds}s.`, resetSeconds);
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit, createStore, registerStore, memoryStore, mongoStore };
@@ -0,0 +1,108 @@
+// ==============================
+// Playlist recommendations
+// Scores library tracks by how well they fit the tracks already in a playlist
+// ==============================
+//
+// The playlist's tracks are summed up into a profile (how often each artist, album,
+// genre and tag appears, typical BPM and duration). A candidate scores for what it has
+// in common with the profile and for how often it shares other playlists with the
+// playlist's tracks. BPM and duration only refine the order: a track needs a shared
+// artist, album, genre, tag or playlist to be suggested at all.
+
+const { normalize } = require('./search');
+
+const WEIGHTS = {
+  cooccurrence: 4,
+  artist: 3,
+  album: 2,
+  genre: 2,
+  tags: 1,
+  bpm: 1,
+  duration: 0.5,
+};
+const BPM_RANGE = 20; // BPM difference at which the BPM score reaches 0
+const DURATION_RANGE = 120; // seconds, likewise for duration
+
+// 'Rock, Indie/Pop' -> ['rock', 'indie', 'pop']
+function splitList(value) {
+  return [].concat(value ?? []).flatMap(v => String(v).split(/[,;/]/)).map(normalize).filter(Boolean);
+}
+
+function trackFeatures(track) {
+  const metadata = track.metadata || {};
+  return {
+    artist: track.artist ? normalize(track.artist) : null,
+    album: track.album ? normalize(track.album) : null,
+    genres: splitList(metadata.genre),
+    tags: splitList(metadata.tags),
+    bpm: Number(metadata.bpm) || null,
+    duration: typeof track.duration === 'number' ? track.duration : null,
+  };
+}
+
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Summary of the playlist's tracks that candidates are compared with
+function buildProfile(tracks) {
+  const features = tracks.map(trackFeatures);
+  return {
+    size: tracks.length,
+    artists: countValues(features.map(f => f.artist).filter(Boolean)),
+    albums: countValues(features.map(f => f.album).filter(Boolean)),
+    genres: countValues(features.flatMap(f => [...new Set(f.genres)])),
+    tags: countValues(features.flatMap(f => [...new Set(f.tags)])),
+    bpm: average(features.map(f => f.bpm).filter(Boolean)),
+    duration: average(features.map(f => f.duration).filter(v => v !== null)),
+  };
+}
+
+// Score of one candidate: { score, reasons } where reasons names what it shares with the
+// playlist, strongest first. `cooccurrence` is 0..1, the share of playlists it appears in
+// alongside the playlist's tracks relative to the most common such track.
+function scoreTrack(track, profile, cooccurrence = 0) {
+  if (!profile.size) return { score: 0, reasons: [] };
+  const f = trackFeatures(track);
+  const share = (counts, value) => (value ? (counts.get(value) || 0) / profile.size : 0);
+  const bestShare = (counts, values) => Math.max(0, ...values.map(v => share(counts, v)));
+
+  const parts = {
+    cooccurrence,
+    artist: share(profile.artists, f.artist),
+    album: share(profile.albums, f.album),
+    genre: bestShare(profile.genres, f.genres),
+    tags: bestShare(profile.tags, f.tags),
+  };
+  if (!Object.values(parts).some(Boolean)) return { score: 0, reasons: [] };
+
+  parts.bpm = f.bpm && profile.bpm ? Math.max(0, 1 - Math.abs(f.bpm - profile.bpm) / BPM_RANGE) : 0;
+  parts.duration = f.duration !== null && profile.duration !== null
+    ? Math.max(0, 1 - Math.abs(f.duration - profile.duration) / DURATION_RANGE)
+    : 0;
+
+  const weighted = Object.entries(parts).map(([reason, value]) => [reason, value * WEIGHTS[reason]]).filter(([, value]) => value > 0);
+  return {
+    score: Math.round(weighted.reduce((sum, [, value]) => sum + value, 0) * 1000) / 1000,
+    reasons: weighted.sort((a, b) => b[1] - a[1]).map(([reason]) => reason),
+  };
+}
+
+// The best `limit` candidates as [{ track, score, reasons }], highest score first.
+// `cooccurrences` maps track ids to the number of playlists shared with the playlist's tracks.
+function rankCandidates(candidates, profile, cooccurrences = new Map(), limit = 10) {
+  const most = Math.max(1, ...cooccurrences.values());
+  return candidates
+    .map(track => ({ track, ...scoreTrack(track, profile, (cooccurrences.get(String(track._id)) || 0) / most) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || String(a.track._id).localeCompare(String(b.track._id)))
+    .slice(0, limit);
+}
+
+module.exports = { buildProfile, scoreTrack, rankCandidates, splitList };
@@ -0,0 +1,83 @@
+// ==============================
+// Playlist revision helpers
+// Snapshots of a playlist's editable state and diffs between them
+// ==============================
+//
+// A snapshot is { name, description, allowDuplicates, type, smart, tracks } where tracks
+// are the entries in play order as { _id, trackId, order, addedAt }. A diff lists the
+// changed fields as { from, to } and the entries that were added, removed, moved or updated.
+
+const FIELDS = ['name', 'description', 'allowDuplicates', 'type', 'smart'];
+
+function snapshotPlaylist(playlist) {
+  const tracks = [...(playlist.tracks || [])]
+    .sort((a, b) => (a.order ?? Number.MAX_SAFE_INTEGER) - (b.order ?? Number.MAX_SAFE_INTEGER))
+    .map(t => ({ _id: t._id, trackId: t.trackId?._id ?? t.trackId, order: t.order, addedAt: t.addedAt }));
+  const smart = playlist.smart?.toObject ? playlist.smart.toObject() : playlist.smart;
+  return {
+    name: playlist.name,
+    description: playlist.description,
+    allowDuplicates: playlist.allowDuplicates,
+    type: playlist.type,
+    smart,
+    tracks
+  };
+}
+
+// Positions (into `values`) of one longest strictly increasing subsequence
+function longestIncreasing(values) {
+  const tails = []; // tails[k] = index of the smallest tail of an increasing run of length k + 1
+  const previous = [];
+  values.forEach((value, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+
+  const result = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) result.add(i);
+  return result;
+}
+
+const entrySummary = entry => ({ _id: entry._id, trackId: entry.trackId, order: entry.order });
+
+// Changes from `before` to `after` (before is null for a new playlist), or null if nothing changed.
+// Only entries whose position relative to the others changed count as moved, so inserting
+// at the top doesn't report every following entry.
+function diffSnapshots(before, after) {
+  const changes = {};
+  for (const field of FIELDS) {
+    const from = before?.[field];
+    const to = after[field];
+    // smart is a nested definition, so compare it by value
+    if (JSON.stringify(from) !== JSON.stringify(to) && (from != null || to != null)) changes[field] = { from, to };
+  }
+
+  const oldEntries = new Map((before?.tracks || []).map(t => [String(t._id), t]));
+  const newIds = new Set(after.tracks.map(t => String(t._id)));
+
+  const added = after.tracks.filter(t => !oldEntries.has(String(t._id))).map(entrySummary);
+  const removed = (before?.tracks || []).filter(t => !newIds.has(String(t._id))).map(entrySummary);
+
+  const kept = after.tracks.filter(t => oldEntries.has(String(t._id)));
+  const oldPositions = kept.map(t => before.tracks.indexOf(oldEntries.get(String(t._id))));
+  const inPlace = longestIncreasing(oldPositions);
+  const moved = kept
+    .filter((t, i) => !inPlace.has(i))
+    .map(t => ({ _id: t._id, trackId: t.trackId, from: oldEntries.get(String(t._id)).order, to: t.order }));
+
+  const updated = kept
+    .filter(t => new Date(t.addedAt).getTime() !== new Date(oldEntries.get(String(t._id)).addedAt).getTime())
+    .map(t => ({ _id: t._id, trackId: t.trackId, addedAt: { from: oldEntries.get(String(t._id)).addedAt, to: t.addedAt } }));
+
+  if (added.length || removed.length || moved.length || updated.length) changes.entries = { added, removed, moved, updated };
+  return Object.keys(changes).length ? changes : null;
+}
+
+module.exports = { snapshotPlaylist, diffSnapshots };
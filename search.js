@@ -0,0 +1,117 @@
+// ==============================
+// Track search helpers
+// Tokenizing, typo-tolerant matching and relevance scoring
+// ==============================
+
+// Searchable fields and their relevance weights (also used for the text index)
+const SEARCH_FIELDS = {
+  title: 10,
+  artist: 5,
+  album: 3,
+  'metadata.genre': 1,
+  'metadata.composer': 1,
+  'metadata.tags': 1,
+};
+
+// Lowercase, strip accents and collapse everything but letters/digits to spaces
+function normalize(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(value) {
+  const normalized = normalize(value);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Short terms must match exactly (as a prefix), longer ones tolerate one typo
+function maxEdits(term) {
+  return term.length >= 4 ? 1 : 0;
+}
+
+// Edit distance counting adjacent transpositions as one edit,
+// bailing out early once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// RegExp matching a word that starts with one of `variants`
+function wordStartRegex(variants) {
+  return new RegExp(`(^|[^a-z0-9])(${[...variants].join('|')})`, 'i');
+}
+
+// RegExp matching a word that starts with `term`
+function prefixRegex(term) {
+  return wordStartRegex([term]);
+}
+
+// RegExp matching a word that starts with `term` or a one-edit variant of it
+// (deletion, substitution, insertion or transposition), so Mongo can pre-filter candidates.
+function fuzzyRegex(term) {
+  const variants = new Set([term]);
+  if (maxEdits(term)) {
+    for (let i = 0; i < term.length; i++) {
+      variants.add(term.slice(0, i) + term.slice(i + 1));
+      variants.add(`${term.slice(0, i)}.${term.slice(i + 1)}`);
+      variants.add(`${term.slice(0, i)}.${term.slice(i)}`);
+      if (i < term.length - 1) variants.add(term.slice(0, i) + term[i + 1] + term[i] + term.slice(i + 2));
+    }
+  }
+  return wordStartRegex(variants);
+}
+
+// How well a single query term matches a single word: 1 exact, 0.8 prefix, 0.5 typo
+function termScore(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  const edits = maxEdits(term);
+  if (edits && (editDistance(term, word, edits) <= edits || editDistance(term, word.slice(0, term.length), edits) <= edits)) {
+    return 0.5;
+  }
+  return 0;
+}
+
+// Read a dotted path such as 'metadata.genre' from a plain object
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Weighted relevance of a track for the given terms; 0 unless every term matches somewhere
+function scoreTrack(track, terms) {
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+      const value = getPath(track, field);
+      if (value == null) continue;
+      const words = tokenize([].concat(value).join(' '));
+      for (const word of words) best = Math.max(best, termScore(term, word) * weight);
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+module.exports = { SEARCH_FIELDS, normalize, tokenize, prefixRegex, fuzzyRegex, scoreTrack };
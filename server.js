@@ -4,18 +4,179 @@
 // ==============================
 
 require('dotenv').config();
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
+const { SEARCH_FIELDS, tokenize, prefixRegex, fuzzyRegex, scoreTrack } = require('./search');
+const playbackEngine = require('./playback');
+const playlistFormats = require('./playlistFormats');
+const { snapshotPlaylist, diffSnapshots } = require('./revisions');
+const smartRules = require('./smartRules');
+const dedupe = require('./dedupe');
+const recommend = require('./recommend');
+const { statsStages, formatStats } = require('./playlistStats');
+const media = require('./media');
+const { createStorage } = require('./storage');
+const { createEventHub } = require('./events');
+const { rateLimit, createStore: createRateLimitStore } = require('./rateLimit');
+const { createRegistry } = require('./metrics');
+const { openApiValidator, schemaValidator } = require('./validation');
+const {
+  BadRequestError,
+  RequestValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  RangeNotSatisfiableError,
+  UnprocessableEntityError,
+  NotImplementedError,
+  toApiError,
+  requestId,
+  requestLogger,
+  notFoundHandler,
+  errorHandler
+} = require('./errors');
 const helmet = require('helmet');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const multer = require('multer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const JWT_SECRET = process.env.JWT_SECRET;
+// Checked here rather than in startServer(), which the exported app (e.g. on Vercel) never runs
+if (!JWT_SECRET) throw new Error('JWT_SECRET is not defined in environment variables.');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const IMPORT_MAX_ENTRIES = 5000;
+const IMPORT_DURATION_TOLERANCE = 3; // seconds either way when matching imported entries
+const SEARCH_CANDIDATES = 200; // max documents pulled per search strategy before ranking
+const DUPLICATE_SCAN_LIMIT = 50000; // library tracks compared per duplicate search
+const TRACK_SORT_FIELDS = ['title', 'artist', 'album', 'duration', 'createdAt'];
+const SMART_DEFAULT_LIMIT = 100; // tracks in a smart playlist unless it sets its own limit
+const SMART_MAX_LIMIT = 1000;
+const PLAYLIST_ROLES = ['viewer', 'editor', 'owner']; // each may do everything the ones before it may
+const SHARE_TOKEN_BYTES = 24;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30); // 0 keeps trashed items until deleted by hand
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // how often expired trash is purged (ms)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BULK_MAX_ITEMS = 1000; // items per bulk request
+const BULK_BODY_LIMIT = '5mb';
+const BULK_PATHS = ['/api/v1/tracks/bulk', '/api/v1/playlists/:id/tracks/bulk'];
+const STREAM_POSITION_INTERVAL = 5000; // how often streaming moves a playback position along (ms)
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 200); // largest audio file accepted
+const storage = createStorage({ driver: process.env.STORAGE_DRIVER || 'local', root: process.env.MEDIA_ROOT || 'media' });
+const EVENT_HEARTBEAT_INTERVAL = 25 * 1000; // keeps idle event streams open through proxies (ms)
+const EVENT_RETRY_DELAY = 5000; // how long EventSource clients wait before reconnecting (ms)
+const events = createEventHub();
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60 * 1000);
+const RATE_LIMIT_IP_MAX = Number(process.env.RATE_LIMIT_IP_MAX ?? 300); // requests per window per IP without an API key (0 = no limit)
+const RATE_LIMIT_KEY_MAX = Number(process.env.RATE_LIMIT_KEY_MAX ?? 600); // requests per window per API key (0 = no limit)
+const API_KEY_DAILY_QUOTA = Number(process.env.API_KEY_DAILY_QUOTA ?? 10000); // requests per API key per day (0 = no quota)
+const API_KEY_PREFIX = 'mpk_';
+const API_KEY_BYTES = 32;
+const API_KEYS_PER_USER = 20; // active keys a user may hold
+const API_KEY_TOUCH_INTERVAL = 60 * 1000; // how often a key's lastUsedAt is written (ms)
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT_MS || 10 * 1000); // how long in-flight requests get to finish
+const METRICS_TOKEN = process.env.METRICS_TOKEN; // when set, GET /metrics needs it as a bearer token
 const CSS_URL = "https://cdnjs.cloudflare.com/ajax/libs/swagger-ui/4.1.0/swagger-ui.min.css";
+
+// ====== Metrics ======
+// Served by GET /metrics. Requests are labelled by route pattern rather than URL, so ids
+// don't multiply the series; database timings come from a plugin on every schema.
+
+const metrics = createRegistry();
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Time taken to answer HTTP requests', ['method', 'route', 'status']);
+const dbDuration = metrics.histogram('db_operation_duration_seconds', 'Time taken by MongoDB operations', ['model', 'operation']);
+const dbErrors = metrics.counter('db_operation_errors_total', 'MongoDB operations that failed', ['model', 'operation']);
+let requestsInFlight = 0;
+metrics.gauge('http_requests_in_flight', 'Requests being handled, open event streams included', () => requestsInFlight);
+metrics.gauge('event_stream_subscriptions', 'Open GET /api/v1/events streams', () => events.size());
+metrics.gauge('mongodb_connection_state', 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)', () => mongoose.connection.readyState);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+
+const DB_QUERY_OPERATIONS = [
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'countDocuments', 'distinct',
+  'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+const dbTimer = Symbol('dbTimer');
+
+function dbLabels(context) {
+  if (context instanceof mongoose.Query) return { model: context.model.modelName, operation: context.op };
+  if (context instanceof mongoose.Aggregate) return { model: context.model()?.modelName, operation: 'aggregate' };
+  return { model: context.constructor.modelName, operation: 'save' };
+}
+
+mongoose.plugin(schema => {
+  for (const hook of [DB_QUERY_OPERATIONS, 'aggregate', 'save']) {
+    schema.pre(hook, function () {
+      if (!this.$isSubdocument) this[dbTimer] = dbDuration.startTimer();
+    });
+    schema.post(hook, function () {
+      this[dbTimer]?.(dbLabels(this));
+    });
+    schema.post(hook, function (err, result, next) {
+      if (this[dbTimer]) dbErrors.inc(dbLabels(this));
+      next(err);
+    });
+  }
+});
+
+// Time each request, labelled with the route that handled it
+function recordRequestMetrics(req, res, next) {
+  const done = httpDuration.startTimer();
+  requestsInFlight += 1;
+  res.on('close', () => {
+    requestsInFlight -= 1;
+    done({ method: req.method, route: req.route ? req.baseUrl + req.route.path : '(other)', status: res.statusCode });
+  });
+  next();
+}
+
 // ====== Middleware ======
-app.use(cors());
+// Behind a proxy or load balancer, TRUST_PROXY (e.g. 1 or 'loopback') makes req.ip the
+// client's address, which per-IP rate limits rely on
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(requestId);
+app.use(requestLogger);
+app.use(recordRequestMetrics);
+// Once shutdown has begun, connections are closed after their current request
+let shuttingDown = false;
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+// The cors `origin` option for CORS_ORIGINS: a comma-separated allow-list whose entries may
+// use * for one subdomain label (https://*.example.com). Unset allows every origin.
+function corsOrigins(value) {
+  if (!value) return '*';
+  return value.split(',').map(origin => origin.trim()).filter(Boolean).map(origin => (
+    origin.includes('*') ? new RegExp(`^${origin.split('*').map(escapeRegex).join('[^./:]+')}$`) : origin
+  ));
+}
+app.use(cors({
+  origin: corsOrigins(process.env.CORS_ORIGINS),
+  exposedHeaders: ['ETag', 'X-Request-Id', 'Accept-Ranges', 'Content-Range', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
+// Bulk requests take larger bodies, as a JSON array or NDJSON (one item per line)
+app.use(BULK_PATHS, express.json({ limit: BULK_BODY_LIMIT }), express.text({ type: 'application/x-ndjson', limit: BULK_BODY_LIMIT }));
 app.use(express.json());
 app.use(helmet());
 
@@ -61,6 +222,53 @@ app.use(
 
 // ====== Mongoose Schemas & Models ======
 
+// User Schema
+const UserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true, select: false },
+  createdAt: { type: Date, default: Date.now }
+});
+const User = mongoose.model('User', UserSchema);
+
+// API Key Schema: lets scripts and integrations call the API as a user without logging in.
+// Only a hash of the key is stored; the key itself is returned once, when it is created.
+const ApiKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true },
+  prefix: String, // start of the key, so its owner can tell keys apart
+  keyHash: { type: String, required: true, unique: true, select: false },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date
+});
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+// Rate Limit Counter Schema (requests in one window, with RATE_LIMIT_STORE=mongo; see rateLimit.js)
+const RateLimitCounterSchema = new mongoose.Schema({
+  _id: String,
+  count: Number,
+  expiresAt: Date
+}, { versionKey: false });
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RateLimitCounter = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+
+// A file kept in media storage (uploaded audio or its cover art)
+const StoredFileSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // storage key
+  mimeType: String,
+  size: Number, // bytes
+  originalName: String,
+  linked: Boolean, // an existing file in the media directory, never moved or removed by the API
+  // Audio stream details, for audio files
+  codec: String,
+  bitrate: Number, // bits per second
+  sampleRate: Number,
+  channels: Number,
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 // Track Schema
 const TrackSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -68,346 +276,2754 @@ const TrackSchema = new mongoose.Schema({
   album: String,
   duration: Number, // in seconds
   metadata: Object,
-  createdAt: { type: Date, default: Date.now }
-});
+  file: StoredFileSchema, // uploaded audio, if any
+  coverArt: StoredFileSchema, // picture embedded in the uploaded audio
+  createdAt: { type: Date, default: Date.now },
+  deletedAt: { type: Date, default: null } // set while the track is in the trash; still resolvable from playlists
+}, { optimisticConcurrency: true }); // every save bumps the version the ETag is built from
+// Indexes backing the sortable/filterable list fields
+TrackSchema.index({ title: 1 });
+TrackSchema.index({ artist: 1, album: 1 });
+TrackSchema.index({ album: 1 });
+TrackSchema.index({ duration: 1 });
+TrackSchema.index({ createdAt: -1 });
+TrackSchema.index({ deletedAt: 1 });
+// Full-text index for /api/v1/search (a collection can only have one)
+TrackSchema.index(
+  Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, 'text'])),
+  { name: 'TrackTextIndex', weights: SEARCH_FIELDS }
+);
 const Track = mongoose.model('Track', TrackSchema);
 
 // Playlist Schema
 const PlaylistSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   name: { type: String, required: true },
   description: String,
   tracks: [
     {
       trackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Track' },
       order: Number,
-      addedAt: { type: Date, default: Date.now }
+      addedAt: { type: Date, default: Date.now },
+      updatedAt: Date // last time the entry was moved or edited
     }
   ],
+  allowDuplicates: { type: Boolean, default: false }, // may the same track appear more than once?
+  type: { type: String, enum: ['manual', 'smart'], default: 'manual' },
+  // Smart playlists have no stored entries; their tracks are evaluated from these rules (see smartRules.js)
+  smart: new mongoose.Schema({
+    rules: { type: Object, required: true },
+    limit: { type: Number, min: 1, max: SMART_MAX_LIMIT, default: SMART_DEFAULT_LIMIT },
+    sort: { type: String, default: '-createdAt' }
+  }, { _id: false }),
   createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-const Playlist = mongoose.model('Playlist', PlaylistSchema);
+  updatedAt: { type: Date, default: Date.now },
+  // Who else can see it: private (collaborators only), unlisted (anyone with its id) or public (also listed)
+  visibility: { type: String, enum: ['private', 'unlisted', 'public'], default: 'private' },
+  collaborators: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['viewer', 'editor'], required: true },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  forkedFrom: { playlistId: mongoose.Schema.Types.ObjectId, revision: Number }, // the playlist this was copied from
+  deletedAt: { type: Date, default: null }, // set while the playlist is in the trash
+  revision: { type: Number, default: 0 }, // number of the latest PlaylistRevision
+  stats: { type: Object, select: false } // cached by getPlaylistStats() with a hash of the tracks' versions, dropped when the entries change
+}, { optimisticConcurrency: true }); // concurrent saves fail with a VersionError instead of overwriting
+PlaylistSchema.index({ deletedAt: 1 });
+PlaylistSchema.index({ 'collaborators.userId': 1 });
+PlaylistSchema.index({ visibility: 1, updatedAt: -1 });
+PlaylistSchema.index({ 'tracks.trackId': 1 }); // playlists using a track (stats invalidation, deletes, merges, recommendations)
 
-// Playback Schema
-const PlaybackSchema = new mongoose.Schema({
-  trackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Track' },
-  position: Number, // current playback position in seconds
-  isPlaying: { type: Boolean, default: true },
-  startedAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
+// Cached stats (see getPlaylistStats()) are out of date once the entries change
+PlaylistSchema.pre('save', function () {
+  if (this.isNew || !this.isModified('tracks')) return;
+  this.stats = undefined;
+  this.markModified('stats'); // unset it even when it wasn't loaded
 });
-const Playback = mongoose.model('Playback', PlaybackSchema);
-
-// ====== Routes ======
-
-// Root
-app.get('/', (req, res) => res.send('✅ Playlist API is running!'));
-
-// ==============================
-// TRACK ROUTES 🎶
-// ==============================
 
-// GET all tracks
-app.get('/api/v1/tracks', async (req, res) => {
-    try {
-        const tracks = await Track.find(); 
-        res.json(tracks);
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
+// Revision history: every save that changes the name, description, allowDuplicates or
+// entries records a PlaylistRevision. Routes describe the edit via savePlaylist().
+PlaylistSchema.post('init', function () {
+  this.$locals.original = snapshotPlaylist(this);
+});
+PlaylistSchema.pre('save', function () {
+  const snapshot = snapshotPlaylist(this);
+  const changes = diffSnapshots(this.isNew ? null : this.$locals.original, snapshot);
+  if (!changes) return;
+  this.revision += 1;
+  this.$locals.pendingRevision = { ...this.$locals.revision, revision: this.revision, changes, snapshot };
+});
+PlaylistSchema.post('save', async function () {
+  const pending = this.$locals.pendingRevision;
+  if (!pending) return;
+  delete this.$locals.pendingRevision;
+  await PlaylistRevision.create([{ playlistId: this._id, ...pending }], { session: this.$session() });
+  this.$locals.original = pending.snapshot;
 });
+const Playlist = mongoose.model('Playlist', PlaylistSchema);
 
-// GET one track by ID
-app.get('/api/v1/tracks/:id', async (req, res) => {
-    try {
-        const track = await Track.findById(req.params.id);
-        if (!track) return res.status(404).json({ message: 'Track not found' });
-        res.json(track);
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
+// Playlist Revision Schema (one recorded edit plus the playlist as it was afterwards)
+const PlaylistRevisionSchema = new mongoose.Schema({
+  playlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Playlist', required: true },
+  revision: { type: Number, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // who made the edit (unset for system changes)
+  action: { type: String, required: true }, // e.g. create, update, add, move, remove, revert
+  revertedTo: Number, // for reverts, the revision that was restored
+  changes: Object, // see diffSnapshots() in revisions.js
+  snapshot: {
+    type: new mongoose.Schema({
+      name: String,
+      description: String,
+      allowDuplicates: Boolean,
+      type: String,
+      smart: Object,
+      tracks: [{ trackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Track' }, order: Number, addedAt: Date }]
+    }, { _id: false }),
+    select: false
+  },
+  at: { type: Date, default: Date.now }
 });
+PlaylistRevisionSchema.index({ playlistId: 1, revision: -1 }, { unique: true });
+const PlaylistRevision = mongoose.model('PlaylistRevision', PlaylistRevisionSchema);
 
-// POST create a new track
-app.post('/api/v1/tracks', async (req, res) => {
-    try {
-        const track = new Track(req.body);
-        await track.save();
-        res.status(201).json(track);
-    } catch (err) {
-        res.status(400).json({ message: err.message });
-    }
+// Share Link Schema: read-only access to a playlist for anyone holding the token. Only a
+// hash of the token is stored; the token itself is returned once, when the link is created.
+const ShareLinkSchema = new mongoose.Schema({
+  playlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Playlist', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  label: String,
+  expiresAt: Date, // MongoDB removes expired links
+  createdAt: { type: Date, default: Date.now }
 });
+ShareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const ShareLink = mongoose.model('ShareLink', ShareLinkSchema);
 
-// PUT update track details
-app.put('/api/v1/tracks/:id', async (req, res) => {
-    try {
-        const track = await Track.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!track) return res.status(404).json({ message: 'Track not found' });
-        res.json(track);
-    } catch (err) {
-        res.status(400).json({ message: err.message });
-    }
+// Playback Schema (a playback session, see playback.js for how the queue advances)
+const PlaybackSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  trackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Track' }, // currently playing track
+  position: Number, // current playback position in seconds
+  isPlaying: { type: Boolean, default: true },
+  playlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Playlist' }, // source playlist, if any
+  queue: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Track' }],
+  order: [Number], // play order as indexes into queue (shuffled when shuffle is on)
+  currentIndex: { type: Number, default: 0 }, // index into order
+  upNext: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Track' }], // user-inserted tracks, played first
+  playingFromUpNext: { type: Boolean, default: false },
+  shuffle: { type: Boolean, default: false },
+  repeat: { type: String, enum: playbackEngine.REPEAT_MODES, default: 'off' },
+  startedAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  endedAt: Date // set when the session was closed because its current track was deleted
 });
+const Playback = mongoose.model('Playback', PlaybackSchema);
 
-// DELETE a track
-app.delete('/api/v1/tracks/:id', async (req, res) => {
-    try {
-        const track = await Track.findByIdAndDelete(req.params.id);
-        if (!track) return res.status(404).json({ message: 'Track not found' });
-        res.json({ message: 'Track deleted' });
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
+// Play Event Schema (listening history, written by the playback routes)
+const PlayEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  trackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Track', required: true },
+  playbackId: { type: mongoose.Schema.Types.ObjectId, ref: 'Playback' },
+  playlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Playlist' },
+  type: { type: String, enum: ['start', 'complete', 'skip'], required: true },
+  position: Number, // where in the track the event happened, in seconds
+  listenedSeconds: { type: Number, default: 0 }, // time listened, set on complete/skip
+  at: { type: Date, default: Date.now }
 });
+PlayEventSchema.index({ userId: 1, at: -1 });
+const PlayEvent = mongoose.model('PlayEvent', PlayEventSchema);
 
+// ====== Auth ======
 
-// ==============================
-// PLAYLIST ROUTES 🎧
-// ==============================
+// Issue a signed token for a user
+function signToken(user) {
+  return jwt.sign({ sub: user._id.toString(), username: user.username }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
 
-// GET all playlists (REMOVED USERID FILTER)
-app.get('/api/v1/playlists', async (req, res) => {
-  try {
-    // Simply return all playlists found in the database
-    const playlists = await Playlist.find().populate('tracks.trackId');
-    res.json(playlists);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+// Tokens handed out once (API keys, share links) are stored as this hash
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
 
-// GET one playlist by ID
-app.get('/api/v1/playlists/:id', async (req, res) => {
+// Require a valid "Authorization: Bearer <token>" header, sets req.user. Requests
+// authenticated with an API key (see authenticateApiKey) already have req.user.
+function requireAuth(req, res, next) {
+  if (req.apiKey) return next();
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthorizedError('Missing or malformed Authorization header');
+  }
+  let payload;
   try {
-    const playlist = await Playlist.findById(req.params.id).populate('tracks.trackId');
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
-    res.json(playlist);
+    payload = jwt.verify(token, JWT_SECRET);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    throw new UnauthorizedError('Invalid or expired token');
   }
-});
+  req.user = { id: payload.sub, username: payload.username };
+  next();
+}
 
-// POST create new playlist
-app.post('/api/v1/playlists', async (req, res) => {
-  try {
-    const playlist = new Playlist(req.body);
-    await playlist.save();
-    res.status(201).json(playlist);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+// Authenticate "X-API-Key: mpk_..." requests as the key's owner. A bad key is only
+// rejected (by rejectInvalidApiKey) once the request has counted against its IP address,
+// so guessing keys is rate limited like any other anonymous use.
+async function authenticateApiKey(req, res, next) {
+  const key = req.get('X-API-Key');
+  if (!key) return next();
+
+  const apiKey = key.startsWith(API_KEY_PREFIX) && await ApiKey.findOne({ keyHash: hashSecret(key), revokedAt: null });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= Date.now())) {
+    req.apiKeyError = new UnauthorizedError('Invalid, expired or revoked API key');
+    return next();
   }
-});
+  req.apiKey = apiKey;
+  req.user = { id: apiKey.userId.toString() };
 
-// PUT update playlist details
-app.put('/api/v1/playlists/:id', async (req, res) => {
-  try {
-    const playlist = await Playlist.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
-    res.json(playlist);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt >= API_KEY_TOUCH_INTERVAL) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now() })
+      .catch(err => console.error(`[${req.id}] ❌ Could not record API key use:`, err.message));
   }
+  next();
+}
+
+// Requests with an API key count against that key (per window and per day), others
+// against their IP address. RATE_LIMIT_STORE=mongo shares the counts between instances.
+const apiRateLimit = rateLimit({
+  store: createRateLimitStore({ store: process.env.RATE_LIMIT_STORE || 'memory', model: RateLimitCounter }),
+  policies: [
+    { name: 'ip', limit: RATE_LIMIT_IP_MAX, windowMs: RATE_LIMIT_WINDOW_MS, key: req => (req.apiKey ? null : req.ip) },
+    { name: 'key', limit: RATE_LIMIT_KEY_MAX, windowMs: RATE_LIMIT_WINDOW_MS, key: req => req.apiKey?.id },
+    { name: 'daily', limit: API_KEY_DAILY_QUOTA, windowMs: DAY_MS, key: req => req.apiKey?.id }
+  ].filter(policy => policy.limit > 0)
 });
+function rejectInvalidApiKey(req, res, next) {
+  if (req.apiKeyError) throw req.apiKeyError;
+  next();
+}
+app.use('/api/v1', authenticateApiKey, apiRateLimit, rejectInvalidApiKey);
 
-// DELETE a playlist
-app.delete('/api/v1/playlists/:id', async (req, res) => {
+// Playlists and playback records are private to their owner
+app.use('/api/v1/playlists', requireAuth);
+app.use('/api/v1/playback', requireAuth);
+
+// Reject requests that don't match the documented params/query/body (see swagger.js)
+app.use(openApiValidator(swaggerSpec));
+
+// ====== Conditional Requests ======
+// Tracks and playlists carry their Mongoose version as an ETag. Express answers
+// If-None-Match with 304 when the response ETag matches; writes check If-Match.
+
+function versionETag(doc) {
+  return `"v${doc.__v}"`;
+}
+
+function setETag(res, doc) {
+  res.set('ETag', versionETag(doc));
+}
+
+// Hash of the versions of `tracks` ({ _id, __v }, null for missing ones). Every save of
+// a track bumps its version, so the hash changes whenever one of them is edited.
+function trackVersionsHash(tracks) {
+  const versions = tracks.map(track => `${track?._id}:${track?.__v}`).sort().join(',');
+  return crypto.createHash('sha1').update(versions).digest('base64url').slice(0, 16);
+}
+
+// Reads of a playlist with its tracks populated also change when one of those tracks
+// does, so their ETag adds a hash of the tracks' versions: "v3-<hash>"
+function setPopulatedETag(res, playlist) {
+  res.set('ETag', `"v${playlist.__v}-${trackVersionsHash(playlist.tracks.map(entry => entry.trackId))}"`);
+}
+
+// Reject the write with 412 when If-Match doesn't name the document's current version
+// (either ETag form: only the version part of a populated read's ETag is compared)
+function checkIfMatch(req, doc) {
+  const header = req.get('If-Match');
+  if (!header) return;
+  const tags = header.split(',').map(tag => tag.trim().replace(/^("v\d+)-[\w-]+"$/, '$1"'));
+  if (tags.includes('*') || tags.includes(versionETag(doc))) return;
+  throw new PreconditionFailedError(`If-Match does not match the current version (${versionETag(doc)}); fetch it again and retry.`);
+}
+
+// ====== Transactions ======
+
+// Run `fn(session)` inside a transaction. Standalone servers (e.g. local development)
+// can't run transactions; there `fn` runs once more without a session, unless the caller
+// promised all-or-nothing (`required`), which fails with 501 instead.
+async function withTransaction(fn, { required = false } = {}) {
+  const committed = []; // see afterCommit()
+  let result;
   try {
-    const playlist = await Playlist.findByIdAndDelete(req.params.id);
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
-    res.json({ message: 'Playlist deleted' });
+    result = await mongoose.connection.transaction(session => {
+      committed.length = 0; // the transaction may be retried
+      session.afterCommit = committed;
+      return fn(session);
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    if (err.code !== 20 || !/replica set|mongos/.test(err.message)) throw err;
+    if (required) {
+      throw new NotImplementedError('Atomic requests need transactions, which this database (a standalone server) does not support; retry without atomic=true.', {}, 'TRANSACTIONS_UNAVAILABLE');
+    }
+    return fn(null);
   }
-});
+  committed.forEach(run => run());
+  return result;
+}
 
-// ==============================
-// TRACK ROUTES (within playlists)
-// ==============================
+// Run `fn` (e.g. sending events) once the transaction of `session` has committed, so
+// nothing is announced that may still be rolled back; right away outside a transaction
+function afterCommit(session, fn) {
+  if (session?.afterCommit) session.afterCommit.push(fn);
+  else fn();
+}
 
-// GET all tracks in a playlist
-app.get('/api/v1/playlists/:id/tracks', async (req, res) => {
-  try {
-    const playlist = await Playlist.findById(req.params.id).populate('tracks.trackId');
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
-    res.json(playlist.tracks);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// ====== Real-time Events ======
+// Changes to playback sessions and playlists are pushed to the owner's open event streams
+// (GET /api/v1/events). Clients may send X-Client-Id with their writes; events caused by
+// a write carry it, so a client can skip echoes of its own changes.
+
+function notify(userId, type, data, req) {
+  const clientId = req?.get('X-Client-Id');
+  const payload = typeof data?.toJSON === 'function' ? data.toJSON() : data; // as it is now, not as it may change
+  events.publish(userId, type, payload, { clientId: clientId && /^[\w.:-]{1,64}$/.test(clientId) ? clientId : undefined });
+}
+
+// What playlist events say about the playlist; clients fetch it again for the details
+function playlistSummary(playlist, action) {
+  return {
+    _id: playlist._id,
+    name: playlist.name,
+    type: playlist.type,
+    revision: playlist.revision,
+    action,
+    updatedAt: playlist.updatedAt,
+    deletedAt: playlist.deletedAt
+  };
+}
+
+// Tell everyone with a role on a playlist (and `alsoNotify`, e.g. a removed collaborator) about a change to it
+function notifyPlaylist(playlist, type, action, req, alsoNotify = []) {
+  const summary = playlistSummary(playlist, action);
+  const userIds = [playlist.userId, ...(playlist.collaborators || []).map(c => c.userId), ...alsoNotify];
+  for (const userId of new Set(userIds.map(String))) notify(userId, type, summary, req);
+}
+
+// One event in text/event-stream format
+function formatEvent(event) {
+  const data = { type: event.type, clientId: event.clientId, at: event.at, data: event.data };
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// ====== Trash ======
+
+// When a trashed document will be purged (null when automatic purging is off)
+function purgeDate(doc) {
+  return TRASH_RETENTION_DAYS > 0 ? new Date(doc.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+}
+
+// Add `purgeAt` to each document of a trash listing
+function withPurgeDates(page) {
+  return { ...page, data: page.data.map(doc => ({ ...doc.toJSON(), purgeAt: purgeDate(doc) })) };
+}
+
+// Permanently remove playlists and tracks that have been in the trash longer than the retention period
+async function purgeTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = await Playlist.distinct('_id', { deletedAt: { $ne: null, $lte: cutoff } });
+  const { deletedCount } = await Playlist.deleteMany({ _id: { $in: expired } });
+  await PlaylistRevision.deleteMany({ playlistId: { $in: expired } });
+  await ShareLink.deleteMany({ playlistId: { $in: expired } });
+  const tracks = await Track.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  for (const track of tracks) {
+    await deleteTrackPermanently(track._id.toString(), { cascade: true });
   }
-});
+  return { playlists: deletedCount, tracks: tracks.length };
+}
 
-// POST add a track to playlist (Handles both NEW and EXISTING tracks)
-app.post('/api/v1/playlists/:id/tracks', async (req, res) => {
-  try {
-    const playlist = await Playlist.findById(req.params.id);
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
+// ====== Bulk Helpers ======
+// Bulk routes take a JSON array or NDJSON and answer with one result per item. By default
+// each item succeeds or fails on its own; ?atomic=true applies all of them in one
+// transaction and changes nothing (422 BULK_ROLLED_BACK) if any item fails.
 
-    let trackIdToAdd;
-    let trackDetails; 
+const validateTrackInput = schemaValidator(swaggerSpec, 'TrackInput');
+const validateTrackUpdate = schemaValidator(swaggerSpec, 'TrackUpdate');
 
-    // Case 1: provides details (title) to CREATE a new Track
-    if (req.body.title) {
-      if (req.body.trackId) {
-        return res.status(400).json({ message: 'Cannot provide both track details (like title) and an existing trackId.' });
-      }
-      
-      const newTrack = new Track(req.body);
-      trackDetails = await newTrack.save();
-      trackIdToAdd = trackDetails._id;
-      
-    // Case 2: provides an ID to ADD an EXISTING Track
-    } else if (req.body.trackId) {
-      if (!mongoose.Types.ObjectId.isValid(req.body.trackId)) {
-        return res.status(400).json({ message: 'Invalid existing trackId format.' });
-      }
-      
-      trackIdToAdd = req.body.trackId;
-      trackDetails = await Track.findById(trackIdToAdd);
-      
-      if (!trackDetails) {
-        return res.status(404).json({ message: 'The existing trackId provided does not correspond to a Track document.' });
+// Items of a bulk request. NDJSON lines that aren't valid JSON become errors in their
+// slot, so they fail individually like any other invalid item.
+function readBulkItems(req) {
+  let items;
+  if (req.is('application/x-ndjson')) {
+    items = String(req.body || '').split(/\r?\n/).map((line, i) => {
+      if (!line.trim()) return undefined;
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return new BadRequestError(`Line ${i + 1} is not valid JSON.`);
       }
-    } else {
-      return res.status(400).json({ message: 'Missing trackId (to add existing) or track details (like title) to create a new track.' });
-    }
+    }).filter(item => item !== undefined);
+  } else if (Array.isArray(req.body)) {
+    items = req.body;
+  } else {
+    throw new BadRequestError('Send the items as a JSON array or as NDJSON (application/x-ndjson).');
+  }
 
-    // Check for duplicates in playlist
-    const isDuplicate = playlist.tracks.some(t => t.trackId.toString() === trackIdToAdd.toString());
-    if (isDuplicate) return res.status(400).json({ message: 'Track already exists in this playlist.' });
+  if (!items.length) throw new BadRequestError('The bulk request contains no items.');
+  if (items.length > BULK_MAX_ITEMS) throw new PayloadTooLargeError(`A bulk request may contain at most ${BULK_MAX_ITEMS} items.`);
+  return items;
+}
 
-    // Add to playlist
-    const trackEntry = { 
-      trackId: trackIdToAdd, 
-      order: playlist.tracks.length + 1 
-    };
-    
-    playlist.tracks.push(trackEntry);
-    playlist.updatedAt = Date.now();
-    await playlist.save();
+// Problems with an item that must be an object before its fields are checked
+function objectItemErrors(item) {
+  return item && typeof item === 'object' && !Array.isArray(item) ? [] : [{ location: 'body', field: 'body', message: 'must be an object' }];
+}
 
-    res.status(201).json({ message: 'Track successfully added/created and linked to playlist.', track: trackDetails });
-    
-  } catch (err) {
-    if (err.name === 'ValidationError') {
-        return res.status(400).json({ message: err.message });
+function idErrors(value, field = '_id') {
+  return mongoose.Types.ObjectId.isValid(value) ? [] : [{ location: 'body', field, message: 'must be a valid ObjectId' }];
+}
+
+// Result entry for an item that failed. Unexpected errors (e.g. a lost connection) are
+// rethrown so they fail the whole request.
+function bulkFailure(index, err) {
+  const apiError = toApiError(err);
+  if (!apiError) throw err;
+  return { index, status: apiError.status, error: { code: apiError.code, message: apiError.message, ...apiError.extra } };
+}
+
+// Run `apply(item, session)` for every item; it returns the item's { status, ... } result.
+// `check(item)` lists an item's validation problems so invalid items never reach `apply`.
+// `finish(session)` runs after the items (in the same transaction when atomic), and
+// `begin(session)` before them, again each time the transaction is retried, so state
+// built up by `apply` can start over.
+async function runBulk(items, { atomic = false, check, begin, apply, finish }) {
+  const invalid = items.map((item, index) => {
+    if (item instanceof Error) return bulkFailure(index, item);
+    const errors = check(item);
+    return errors.length ? bulkFailure(index, new RequestValidationError(errors)) : null;
+  });
+  const failures = invalid.filter(Boolean);
+
+  if (atomic) {
+    if (failures.length) {
+      throw new UnprocessableEntityError(`${failures.length} of ${items.length} items are invalid; nothing was changed.`, { results: failures }, 'BULK_ROLLED_BACK');
     }
-    console.error('Error adding track:', err);
-    res.status(500).json({ message: 'An internal server error occurred while adding the track.' });
+    return withTransaction(async session => {
+      if (begin) await begin(session);
+      const results = [];
+      for (const [index, item] of items.entries()) {
+        try {
+          results.push({ index, ...(await apply(item, session)) });
+        } catch (err) {
+          throw new UnprocessableEntityError(`Item ${index} failed; nothing was changed.`, { results: [bulkFailure(index, err)] }, 'BULK_ROLLED_BACK');
+        }
+      }
+      if (finish) await finish(session);
+      return results;
+    }, { required: true });
   }
-});
 
-// PUT update track details (order, metadata)
-app.put('/api/v1/playlists/:id/tracks/:trackId', async (req, res) => {
-  try {
-    const playlist = await Playlist.findById(req.params.id);
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
+  if (begin) await begin();
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    if (invalid[index]) {
+      results.push(invalid[index]);
+      continue;
+    }
+    try {
+      results.push({ index, ...(await apply(item)) });
+    } catch (err) {
+      results.push(bulkFailure(index, err));
+    }
+  }
+  if (finish) await finish();
+  return results;
+}
 
-    const trackItem = playlist.tracks.find(t => t.trackId.toString() === req.params.trackId);
-    if (!trackItem) return res.status(404).json({ message: 'Track not found in playlist' });
+function bulkSummary(results) {
+  const failed = results.filter(r => r.status >= 400).length;
+  return { total: results.length, succeeded: results.length - failed, failed, results };
+}
 
-    // Only update properties relevant to the track-playlist relationship (like order or addedAt)
-    const updates = {};
-    if (req.body.order !== undefined) updates.order = req.body.order;
-    if (req.body.addedAt !== undefined) updates.addedAt = req.body.addedAt;
+// ====== Media Files ======
+// Audio files arrive as multipart uploads in a temporary file, are inspected for tags
+// and cover art, then copied into media storage under the track's id. Files already in
+// the media directory can be linked instead; those are never moved or removed.
 
-    Object.assign(trackItem, updates);
-    playlist.updatedAt = Date.now(); 
-    await playlist.save();
-    
-    const populatedTrack = await Playlist.populate(trackItem, { path: 'trackId' });
+const receiveFile = multer({ dest: os.tmpdir(), limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: 1 } }).single('file');
+const UPLOAD_FIELDS = ['title', 'artist', 'album']; // form fields that override the file's tags
 
-    res.json({ 
-        message: 'Track item updated within playlist.', 
-        updatedTrackItem: populatedTrack 
+// Parse a multipart upload into req.file (a temporary file) and req.body (the form fields)
+function receiveUpload(req, res) {
+  return new Promise((resolve, reject) => {
+    receiveFile(req, res, err => {
+      if (!err) return resolve();
+      if (err.code === 'LIMIT_FILE_SIZE') return reject(new PayloadTooLargeError(`Audio files are limited to ${UPLOAD_MAX_MB} MB.`));
+      if (err instanceof multer.MulterError) return reject(new BadRequestError(err.field ? `${err.message} (${err.field})` : err.message));
+      reject(err);
     });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+  });
+}
+
+// Track details given as form fields alongside the file
+function uploadOverrides(body = {}) {
+  const unknown = Object.keys(body).filter(field => !UPLOAD_FIELDS.includes(field));
+  if (unknown.length) throw new RequestValidationError(unknown.map(field => ({ location: 'body', field, message: 'is not allowed' })));
+  return Object.fromEntries(UPLOAD_FIELDS.filter(field => body[field]?.trim()).map(field => [field, body[field].trim()]));
+}
+
+// Storage keys of the files kept for a track (linked files belong to the media library)
+function trackFileKeys(track) {
+  return [track.file?.linked ? null : track.file?.key, track.coverArt?.key].filter(Boolean);
+}
+
+// Media directory path of a file to link, e.g. 'Queen/Bohemian Rhapsody.mp3'
+function mediaPath(value) {
+  const key = path.posix.normalize(String(value).replace(/\\/g, '/'));
+  const invalid = path.posix.isAbsolute(key) || key === '..' || key.startsWith('../');
+  const managed = ['audio/', 'covers/'].some(dir => key.startsWith(dir));
+  if (invalid || managed) {
+    throw new RequestValidationError([{ location: 'body', field: 'path', message: 'must be a relative path inside the media directory, outside audio/ and covers/' }]);
   }
-});
+  return key;
+}
 
-// DELETE remove track from playlist
-app.delete('/api/v1/playlists/:id/tracks/:trackId', async (req, res) => {
-  try {
-    const playlist = await Playlist.findById(req.params.id);
-    if (!playlist) return res.status(404).json({ message: 'Playlist not found' });
+// Copy an uploaded temporary file into storage under the track's id
+// Storage key for a new file of a track. Every upload gets its own, so replacing a file
+// never overwrites the one the saved track still points at.
+function mediaKey(dir, track, extension) {
+  return `${dir}/${track._id}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+}
 
-    const originalLength = playlist.tracks.length;
-    
-    playlist.tracks = playlist.tracks.filter(t => t.trackId.toString() !== req.params.trackId);
+async function storeUpload(track, upload, audio) {
+  const { key, size } = await storage.put(mediaKey('audio', track, audio.format), fs.createReadStream(upload.path));
+  return { key, size, originalName: upload.originalname };
+}
 
-    if (playlist.tracks.length === originalLength) {
-        return res.status(404).json({ message: 'Track not found in playlist or trackId was invalid.' });
-    }
-    
-    playlist.updatedAt = Date.now();
-    await playlist.save();
+// Fill in a track's details from the tags of a new file for it. Its duration replaces the
+// old one; other tags only fill in details the track doesn't have yet.
+function applyAudioFields(track, audio) {
+  for (const field of ['title', 'artist', 'album']) {
+    if (!track[field] && audio.fields[field]) track[field] = audio.fields[field];
+  }
+  if (audio.fields.duration !== undefined) track.duration = audio.fields.duration;
+  if (audio.fields.metadata) track.metadata = { ...audio.fields.metadata, ...track.metadata };
+}
 
-    res.json({ message: 'Track removed from playlist' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// Point the track at its audio `file` ({ key, size, originalName, linked }) and store the
+// cover art found in it. Returns the keys that were `added` (to remove if saving the
+// track fails) and those `replaced` (to remove once it has been saved).
+async function attachTrackMedia(track, file, audio) {
+  const previous = trackFileKeys(track);
+
+  track.file = { ...file, mimeType: audio.mimeType, ...audio.technical };
+  track.coverArt = undefined;
+  if (audio.cover) {
+    const cover = await storage.put(mediaKey('covers', track, audio.cover.extension), Readable.from([audio.cover.data]));
+    track.coverArt = { key: cover.key, mimeType: audio.cover.mimeType, size: cover.size };
   }
-});
 
-// ==============================
-// PLAYBACK ROUTES
-// ==============================
+  const current = trackFileKeys(track);
+  return {
+    added: current.filter(key => !previous.includes(key)),
+    replaced: previous.filter(key => !current.includes(key))
+  };
+}
 
-// GET last played track
-app.get('/api/v1/playback', async (req, res) => {
+// Save a track whose files changed, then remove the ones it no longer uses
+async function saveTrackMedia(track, { added, replaced }) {
   try {
-    const playback = await Playback.find().sort({ updatedAt: -1 }).limit(1).populate('trackId');
-    res.json(playback);
+    await track.save();
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    await removeStoredFiles(added);
+    throw err;
   }
-});
+  await removeStoredFiles(replaced);
+}
 
-// POST save new playback record
-app.post('/api/v1/playback', async (req, res) => {
+// Remove files from storage. Failures are only logged: the track no longer points at them.
+async function removeStoredFiles(keys) {
+  await Promise.all(keys.map(key => storage.remove(key).catch(err => console.error(`⚠️ Could not remove stored file ${key}:`, err))));
+}
+
+// Pipe a stored file into the response. Clients routinely abort media downloads (e.g.
+// when seeking), which is not an error.
+async function sendStoredFile(res, stream) {
   try {
-    const playback = new Playback(req.body);
-    await playback.save();
-    res.status(201).json(playback);
+    await pipeline(stream, res);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw err;
   }
-});
+}
 
-// PUT update playback info
-app.put('/api/v1/playback/:id', async (req, res) => {
-  try {
-    const playback = await Playback.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!playback) return res.status(404).json({ message: 'Playback not found' });
-    res.json(playback);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+// The byte range of a file to serve: all of it, or the single range asked for with Range.
+// Range is ignored when If-Range names an older version; several ranges get the whole file.
+function requestedRange(req, res, size) {
+  const whole = { start: 0, end: size - 1 };
+  const ifRange = req.get('If-Range');
+  if (ifRange && ifRange !== res.get('ETag') && ifRange !== res.get('Last-Modified')) return whole;
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    throw new RangeNotSatisfiableError(`The requested range is outside the file (${size} bytes).`);
   }
-});
+  // No Range, a malformed one (-2) or several
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) return whole;
+  return { start: ranges[0].start, end: ranges[0].end };
+}
 
-// DELETE playback record
-app.delete('/api/v1/playback/:id', async (req, res) => {
-  try {
-    const playback = await Playback.findByIdAndDelete(req.params.id);
-    if (!playback) return res.status(404).json({ message: 'Playback not found' });
-    res.json({ message: 'Playback record deleted' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// Move a playback session's position along as its track's bytes are served (the share of
+// the file served so far, scaled to the track's duration). Written at most every
+// STREAM_POSITION_INTERVAL and when the stream closes, and only while the session is
+// still on this track.
+function followStreamPosition(stream, playback, track, { start, size }) {
+  if (!track.duration) return;
+  let served = start;
+  let lastWrite = 0;
+
+  const write = () => {
+    lastWrite = Date.now();
+    const position = Math.round(Math.min(served / size, 1) * track.duration * 10) / 10;
+    Playback.updateOne({ _id: playback._id, trackId: track._id }, { position, updatedAt: Date.now() })
+      .catch(err => console.error(`⚠️ Could not update the position of playback ${playback._id}:`, err));
+  };
+  stream.on('data', chunk => {
+    served += chunk.length;
+    if (Date.now() - lastWrite >= STREAM_POSITION_INTERVAL) write();
+  });
+  stream.on('close', write);
+}
+
+// ====== List Query Helpers ======
+
+// Escape user input before embedding it in a RegExp
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse ?from=&to= style bounds into a Mongo range (null when neither bound is given)
+function parseRange(min, max, label, parse) {
+  const range = {};
+  for (const [op, raw] of [['$gte', min], ['$lte', max]]) {
+    if (raw === undefined || raw === '') continue;
+    const value = parse(String(raw));
+    if (value === null) throw new BadRequestError(`Invalid ${label} value: ${raw}`);
+    range[op] = value;
   }
-});
+  return Object.keys(range).length ? range : null;
+}
 
-// ====== Connect to MongoDB Atlas ======
-async function startServer() {
-  try {
-    if(!process.env.MONGODB_URI) {
-        console.error("❌ Error: MONGODB_URI is not defined in environment variables.");
-        return;
+const parseNumber = raw => (Number.isFinite(Number(raw)) ? Number(raw) : null);
+const parseDate = raw => (Number.isNaN(Date.parse(raw)) ? null : new Date(raw));
+
+// Build page, sort and filter options from a list route's query string.
+// `sortFields` whitelists sortable fields, `buildFilter` maps query params to a Mongo filter.
+function buildListQuery(query, { sortFields, defaultSort, buildFilter }) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) throw new BadRequestError('page must be a positive integer.');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  const sort = parseSort(query.sort || defaultSort, sortFields);
+  sort._id = 1; // stable ordering across pages
+
+  return { filter: buildFilter(query), sort, page, limit, skip: (page - 1) * limit };
+}
+
+// '-duration,title'  ->  { duration: -1, title: 1 }, allowing only `sortFields`
+function parseSort(value, sortFields) {
+  const sort = {};
+  for (const key of String(value).split(',').filter(Boolean)) {
+    const field = key.replace(/^[-+]/, '');
+    if (!sortFields.includes(field)) {
+      throw new BadRequestError(`Cannot sort by '${field}'. Allowed fields: ${sortFields.join(', ')}.`);
     }
-    await mongoose.connect(process.env.MONGODB_URI);
-    console.log('✅ Connected to MongoDB Atlas');
-    
-    app.listen(PORT, () => console.log(`🚀 Server running on http://localhost:${PORT}`));
+    sort[field] = key.startsWith('-') ? -1 : 1;
+  }
+  return sort;
+}
+
+// Run a paginated find and wrap it in the list envelope
+async function paginate(model, { filter, sort, page, limit, skip }, populate) {
+  let cursor = model.find(filter).sort(sort).skip(skip).limit(limit);
+  if (populate) cursor = cursor.populate(populate);
+  const [data, total] = await Promise.all([cursor, model.countDocuments(filter)]);
+  return { data, page, limit, total, totalPages: Math.ceil(total / limit) };
+}
+
+// Track filters: artist, album, minDuration/maxDuration, createdFrom/createdTo
+function buildTrackFilter(query) {
+  const filter = { deletedAt: null };
+  if (query.artist) filter.artist = new RegExp(`^${escapeRegex(query.artist)}$`, 'i');
+  if (query.album) filter.album = new RegExp(`^${escapeRegex(query.album)}$`, 'i');
+
+  const duration = parseRange(query.minDuration, query.maxDuration, 'duration', parseNumber);
+  if (duration) filter.duration = duration;
+
+  const createdAt = parseRange(query.createdFrom, query.createdTo, 'createdAt', parseDate);
+  if (createdAt) filter.createdAt = createdAt;
+
+  return filter;
+}
+
+// Playlist filters: name (substring), createdFrom/createdTo
+function buildPlaylistFilter(query) {
+  const filter = {};
+  if (query.name) filter.name = new RegExp(escapeRegex(query.name), 'i');
+
+  const createdAt = parseRange(query.createdFrom, query.createdTo, 'createdAt', parseDate);
+  if (createdAt) filter.createdAt = createdAt;
+
+  return filter;
+}
+
+// ====== Playlist Helpers ======
+
+// The caller's role on a playlist: owner, their collaborator role, viewer for public and
+// unlisted playlists, or null when they can't see it
+function playlistRole(playlist, userId) {
+  if (String(playlist.userId) === String(userId)) return 'owner';
+  const collaborator = playlist.collaborators?.find(c => String(c.userId) === String(userId));
+  if (collaborator) return collaborator.role;
+  return ['public', 'unlisted'].includes(playlist.visibility) ? 'viewer' : null;
+}
+
+// Load a playlist the caller may use with at least `role` (viewer, editor or owner).
+// Playlists they can't see are reported missing, as are trashed ones; those they can see
+// but not change this way are forbidden. Their role is left in playlist.$locals.role.
+async function findPlaylist(req, role, { id = req.params.id, populate, select } = {}) {
+  let query = Playlist.findOne({ _id: id, deletedAt: null });
+  if (select) query = query.select(`${select} userId visibility collaborators`);
+  if (populate) query = query.populate(populate);
+
+  const playlist = await query;
+  const actual = playlist && playlistRole(playlist, req.user.id);
+  if (!actual) throw new NotFoundError('Playlist not found');
+  if (PLAYLIST_ROLES.indexOf(actual) < PLAYLIST_ROLES.indexOf(role)) {
+    throw new ForbiddenError(role === 'owner' ? 'Only the owner of the playlist can do this.' : `This needs ${role} access to the playlist.`);
+  }
+  playlist.$locals.role = actual;
+  return playlist;
+}
+
+// Check a smart playlist definition from a request body before it is stored
+function validateSmartDefinition(smart) {
+  if (!smart) throw new BadRequestError('Smart playlists need a smart definition with rules.');
+  smartRules.validateRules(smart.rules);
+  if (smart.sort !== undefined) parseSort(smart.sort, TRACK_SORT_FIELDS);
+}
+
+// Evaluate a smart playlist into entries shaped like stored ones: { trackId: <Track>, order }
+async function smartEntries(playlist) {
+  const { rules, limit, sort } = playlist.smart;
+  const tracks = await Track.find({ ...smartRules.compileRules(rules), deletedAt: null })
+    .sort({ ...parseSort(sort, TRACK_SORT_FIELDS), _id: 1 })
+    .limit(limit);
+  return tracks.map((track, i) => ({ trackId: track, order: i + 1 }));
+}
+
+// A playlist's entries in play order, evaluating smart playlists
+async function playlistEntries(playlist) {
+  return playlist.type === 'smart' ? smartEntries(playlist) : [...playlist.tracks].sort(byEntryOrder);
+}
+
+// Entries of smart playlists are computed, so they can't be edited one by one
+function assertManual(playlist) {
+  if (playlist.type === 'smart') {
+    throw new ConflictError('Smart playlist entries come from its rules; freeze it to edit entries by hand.', {}, 'SMART_PLAYLIST');
+  }
+}
+
+// Save an edited playlist; `action` and the caller are recorded in its revision history,
+// and its owner and collaborators are told about it when anything changed
+async function savePlaylist(playlist, req, action, options) {
+  const { isNew } = playlist;
+  const changed = isNew || playlist.isModified();
+  playlist.$locals.revision = { userId: req?.user?.id, action };
+  playlist.updatedAt = Date.now();
+  await playlist.save(options);
+  if (changed) afterCommit(options?.session, () => notifyPlaylist(playlist, isNew ? 'playlist.created' : 'playlist.updated', action, req));
+  return playlist;
+}
+
+// ====== Playlist Entry Helpers ======
+
+// Entries sort by `order`, entries without one go last, ties broken by addedAt
+function byEntryOrder(a, b) {
+  const orderA = a.order ?? Number.MAX_SAFE_INTEGER;
+  const orderB = b.order ?? Number.MAX_SAFE_INTEGER;
+  return orderA - orderB || new Date(a.addedAt) - new Date(b.addedAt);
+}
+
+// Store entries sorted and renumber `order` as 1..n so there are no gaps or ties
+function renumberEntries(playlist, entries = [...playlist.tracks].sort(byEntryOrder)) {
+  entries.forEach((entry, i) => { entry.order = i + 1; });
+  playlist.tracks = entries;
+}
+
+// Move an entry to a 1-based position (clamped to the playlist length)
+function moveEntry(playlist, entry, position) {
+  const entries = [...playlist.tracks].sort(byEntryOrder).filter(t => t !== entry);
+  const index = Math.min(Math.max(position, 1), entries.length + 1) - 1;
+  entries.splice(index, 0, entry);
+  renumberEntries(playlist, entries);
+}
+
+// ====== Recommendations ======
+
+const RECOMMEND_CANDIDATE_LIMIT = 2000; // library tracks scored per request
+
+// Tracks to suggest for a playlist, best first: [{ track, score, reasons }] (see recommend.js).
+// Candidates share an artist, album, genre or tag with its tracks, or appear in other
+// playlists alongside them; tracks already in the playlist are never suggested.
+async function recommendTracks(playlist, limit) {
+  const present = playlist.type === 'smart'
+    ? (await smartEntries(playlist)).map(entry => entry.trackId._id)
+    : playlist.tracks.map(entry => entry.trackId);
+  const seeds = await Track.find({ _id: { $in: present } });
+  if (!seeds.length) return [];
+  const profile = recommend.buildProfile(seeds);
+
+  // Number of other playlists each track shares with this playlist's tracks
+  const shared = await Playlist.aggregate([
+    { $match: { _id: { $ne: playlist._id }, deletedAt: null, 'tracks.trackId': { $in: present } } },
+    { $project: { trackId: { $setUnion: ['$tracks.trackId', []] } } },
+    { $unwind: '$trackId' },
+    { $match: { trackId: { $nin: present } } },
+    { $group: { _id: '$trackId', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: RECOMMEND_CANDIDATE_LIMIT }
+  ]);
+
+  const terms = [...profile.genres.keys(), ...profile.tags.keys()];
+  const termRegex = terms.length && new RegExp(terms.map(t => t.split(' ').map(escapeRegex).join('\\W+')).join('|'), 'i');
+  const candidates = await Track.find({
+    _id: { $nin: present },
+    deletedAt: null,
+    $or: [
+      { _id: { $in: shared.map(s => s._id) } },
+      { artist: { $in: [...new Set(seeds.map(t => t.artist).filter(Boolean))] } },
+      { album: { $in: [...new Set(seeds.map(t => t.album).filter(Boolean))] } },
+      ...(termRegex ? [{ 'metadata.genre': termRegex }, { 'metadata.tags': termRegex }] : [])
+    ]
+  }).limit(RECOMMEND_CANDIDATE_LIMIT);
+
+  return recommend.rankCandidates(candidates, profile, new Map(shared.map(s => [String(s._id), s.count])), limit);
+}
+
+// ====== Playlist Statistics ======
+// Totals and breakdowns of a playlist's tracks (see playlistStats.js). A manual playlist's
+// stats are cached on it, keyed by its version and the versions of its tracks, so they
+// are recomputed once its entries or one of its tracks change; a smart playlist's depend
+// on the whole library, so they are computed every time.
+
+async function computePlaylistStats(playlist) {
+  if (playlist.type === 'smart') {
+    const { rules, limit, sort } = playlist.smart;
+    const [result] = await Track.aggregate([
+      { $match: { ...smartRules.compileRules(rules), deletedAt: null } },
+      { $sort: { ...parseSort(sort, TRACK_SORT_FIELDS), _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, entry: { trackId: '$_id' }, track: '$$ROOT' } },
+      ...statsStages()
+    ]);
+    return formatStats(result);
+  }
+
+  const [result] = await Playlist.aggregate([
+    { $match: { _id: playlist._id } },
+    { $unwind: '$tracks' },
+    {
+      $lookup: {
+        from: Track.collection.name,
+        localField: 'tracks.trackId',
+        foreignField: '_id',
+        pipeline: [{ $project: { title: 1, artist: 1, album: 1, duration: 1, 'metadata.genre': 1 } }],
+        as: 'track'
+      }
+    },
+    { $project: { _id: 0, entry: '$tracks', track: { $arrayElemAt: ['$track', 0] } } },
+    ...statsStages()
+  ]);
+  return formatStats(result);
+}
+
+async function getPlaylistStats(playlist) {
+  if (playlist.type === 'smart') return computePlaylistStats(playlist);
+
+  let tracks;
+  if (playlist.populated('tracks.trackId')) {
+    tracks = playlist.tracks.map(entry => entry.trackId);
+  } else {
+    const ids = playlist.tracks.map(entry => entry.trackId);
+    const versions = new Map((await Track.find({ _id: { $in: ids } }).select('__v').lean()).map(track => [String(track._id), track]));
+    tracks = ids.map(id => versions.get(String(id)));
+  }
+  const tracksHash = trackVersionsHash(tracks);
+
+  const cached = await Playlist.findOne({ _id: playlist._id, __v: playlist.__v, 'stats.tracksHash': tracksHash }).select('stats').lean();
+  if (cached) {
+    const { tracksHash: _, ...stats } = cached.stats;
+    return stats;
+  }
+
+  const stats = await computePlaylistStats(playlist);
+  // Matching the version keeps stats of an older state from being stored over a newer one
+  await Playlist.updateOne({ _id: playlist._id, __v: playlist.__v }, { $set: { stats: { ...stats, tracksHash } } });
+  return stats;
+}
+
+// Resolve the entry addressed by :entryId, or by :trackId when that track appears only once.
+// `label` prefixes the error message (e.g. for move anchors).
+function findEntry(playlist, { entryId, trackId }, label = '') {
+  if (entryId) {
+    const entry = playlist.tracks.find(t => t._id.toString() === entryId);
+    if (!entry) throw new NotFoundError(`${label}Entry not found in playlist`);
+    return entry;
+  }
+  const matches = playlist.tracks.filter(t => t.trackId.toString() === trackId);
+  if (matches.length > 1) {
+    throw new ConflictError(`${label}Track appears more than once in this playlist; address it by entry id instead.`, {}, 'AMBIGUOUS_TRACK');
+  }
+  if (!matches.length) throw new NotFoundError(`${label}Track not found in playlist`);
+  return matches[0];
+}
+
+// ====== Routes ======
+
+// Root
+app.get('/', (req, res) => res.send('✅ Playlist API is running!'));
+
+// ==============================
+// OPERATIONS 🩺
+// ==============================
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// GET liveness: the process is up and answering; also reports the database connection state
+app.get('/health', (req, res) => {
+  res.set('Cache-Control', 'no-store').json({
+    status: 'ok',
+    database: DB_STATES[mongoose.connection.readyState] || 'unknown',
+    uptime: Math.round(process.uptime())
+  });
+});
+
+// GET readiness: 503 unless the database is connected and the server isn't shutting down,
+// so load balancers only send traffic to instances that can serve it
+app.get('/ready', (req, res) => {
+  const connected = mongoose.connection.readyState === 1;
+  const ready = connected && !shuttingDown;
+  res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+    status: ready ? 'ready' : shuttingDown ? 'shutting-down' : 'unavailable',
+    database: DB_STATES[mongoose.connection.readyState] || 'unknown'
+  });
+});
+
+// GET metrics in the Prometheus text format
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = hashSecret(req.get('Authorization') || '');
+    if (!crypto.timingSafeEqual(Buffer.from(given), Buffer.from(hashSecret(`Bearer ${METRICS_TOKEN}`)))) {
+      throw new UnauthorizedError('A valid metrics token is required');
+    }
+  }
+  res.set('Cache-Control', 'no-store').type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// ==============================
+// AUTH ROUTES 🔐
+// ==============================
+
+// POST register a new user
+app.post('/api/v1/auth/register', async (req, res) => {
+  const { username, email, password } = req.body;
+  if (!password || password.length < 8) {
+    throw new BadRequestError('Password must be at least 8 characters long.');
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const user = new User({ username, email, passwordHash });
+  await user.save();
+
+  res.status(201).json({
+    token: signToken(user),
+    user: { _id: user._id, username: user.username, email: user.email }
+  });
+});
+
+// POST log in and receive a token
+app.post('/api/v1/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) {
+    throw new BadRequestError('Email and password are required.');
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select('+passwordHash');
+  if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+    throw new UnauthorizedError('Invalid email or password.');
+  }
+
+  res.json({
+    token: signToken(user),
+    user: { _id: user._id, username: user.username, email: user.email }
+  });
+});
+
+// GET the currently authenticated user
+app.get('/api/v1/auth/me', requireAuth, async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+  res.json(user);
+});
+
+// API keys act for the user who created them, so they are managed with a login token only
+app.use('/api/v1/api-keys', requireAuth, (req, res, next) => {
+  if (req.apiKey) throw new ForbiddenError('API keys cannot manage API keys; use a login token.');
+  next();
+});
+
+// GET the caller's API keys, newest first (the keys themselves are only shown when created)
+app.get('/api/v1/api-keys', async (req, res) => {
+  res.json(await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 }));
+});
+
+// POST create an API key (body: { name, expiresAt })
+app.post('/api/v1/api-keys', async (req, res) => {
+  if (req.body.expiresAt && new Date(req.body.expiresAt) <= Date.now()) throw new BadRequestError('expiresAt must be in the future.');
+  const active = await ApiKey.countDocuments({
+    userId: req.user.id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  if (active >= API_KEYS_PER_USER) {
+    throw new ConflictError(`You already have ${API_KEYS_PER_USER} active API keys; revoke one first.`, {}, 'API_KEY_LIMIT');
+  }
+
+  const key = API_KEY_PREFIX + crypto.randomBytes(API_KEY_BYTES).toString('base64url');
+  const apiKey = await ApiKey.create({
+    userId: req.user.id,
+    name: req.body.name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashSecret(key),
+    expiresAt: req.body.expiresAt
+  });
+  res.status(201).json({ ...apiKey.toJSON(), keyHash: undefined, key });
+});
+
+// DELETE revoke an API key; requests using it fail from then on
+app.delete('/api/v1/api-keys/:id', async (req, res) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!apiKey) throw new NotFoundError('API key not found');
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+  }
+  res.json({ message: 'API key revoked', revokedAt: apiKey.revokedAt });
+});
+
+// ==============================
+// TRACK ROUTES 🎶
+// ==============================
+
+// GET tracks (paginated, sortable, filterable)
+app.get('/api/v1/tracks', async (req, res) => {
+    const listQuery = buildListQuery(req.query, {
+        sortFields: TRACK_SORT_FIELDS,
+        defaultSort: '-createdAt',
+        buildFilter: buildTrackFilter
+    });
+
+    res.json(await paginate(Track, listQuery));
+});
+
+// GET trashed tracks (most recently deleted first)
+app.get('/api/v1/tracks/trash', async (req, res) => {
+    const listQuery = buildListQuery(req.query, {
+        sortFields: ['title', 'artist', 'deletedAt'],
+        defaultSort: '-deletedAt',
+        buildFilter: () => ({ deletedAt: { $ne: null } })
+    });
+    res.json(withPurgeDates(await paginate(Track, listQuery)));
+});
+
+// POST create many tracks; items are track details like POST /tracks
+app.post('/api/v1/tracks/bulk', async (req, res) => {
+    const results = await runBulk(readBulkItems(req), {
+        atomic: req.query.atomic === 'true',
+        check: validateTrackInput,
+        apply: async (item, session) => {
+            const [track] = await Track.create([item], { session });
+            return { status: 201, id: track._id };
+        }
+    });
+    res.json(bulkSummary(results));
+});
+
+// PUT update many tracks; items are { _id, ...fields to change }
+app.put('/api/v1/tracks/bulk', async (req, res) => {
+    const results = await runBulk(readBulkItems(req), {
+        atomic: req.query.atomic === 'true',
+        check: item => {
+            const errors = objectItemErrors(item);
+            if (errors.length) return errors;
+            const { _id, ...changes } = item;
+            return [...idErrors(_id), ...validateTrackUpdate(changes)];
+        },
+        apply: async ({ _id, ...changes }, session) => {
+            const track = await Track.findOne({ _id, deletedAt: null }).session(session);
+            if (!track) throw new NotFoundError('Track not found');
+            track.set(changes);
+            await track.save({ session });
+            return { status: 200, id: track._id };
+        }
+    });
+    res.json(bulkSummary(results));
+});
+
+// DELETE many tracks; items are track ids (or { _id }). ?mode= works as for a single delete.
+app.delete('/api/v1/tracks/bulk', requireAuthToDeletePermanently, async (req, res) => {
+    const mode = req.query.mode || 'soft';
+    const idOf = item => (item && typeof item === 'object' ? item._id : item);
+    const removedFiles = []; // of tracks deleted in an atomic request, removed after it commits
+
+    const results = await runBulk(readBulkItems(req), {
+        atomic: req.query.atomic === 'true',
+        check: item => idErrors(idOf(item)),
+        begin: () => { removedFiles.length = 0; }, // the transaction may be retried
+        apply: async (item, session) => {
+            const id = String(idOf(item));
+            if (mode !== 'soft') {
+                return { status: 200, id, ...(await deleteTrackPermanently(id, { cascade: mode === 'cascade', session, removedFiles })) };
+            }
+            const track = await Track.findOne({ _id: id, deletedAt: null }).session(session);
+            if (!track) throw new NotFoundError('Track not found');
+            track.deletedAt = Date.now();
+            await track.save({ session });
+            return { status: 200, id, purgeAt: purgeDate(track) };
+        }
+    });
+    await removeStoredFiles(removedFiles);
+    res.json({ mode, ...bulkSummary(results) });
+});
+
+// GET groups of tracks that look like copies of the same song (paginated, largest group first).
+// ?durationTolerance= seconds (default 2); ?ignoreAlbum=true also matches across albums.
+// Groups are found from the fields they are matched on, for at most DUPLICATE_SCAN_LIMIT
+// tracks; only the tracks of the requested page are loaded in full.
+app.get('/api/v1/tracks/duplicates', async (req, res) => {
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || 20;
+    const tracks = await Track.find({ deletedAt: null })
+        .select('title artist album duration')
+        .sort({ _id: 1 })
+        .limit(DUPLICATE_SCAN_LIMIT)
+        .lean();
+    const groups = dedupe.findDuplicateGroups(tracks, {
+        durationTolerance: req.query.durationTolerance === undefined ? undefined : Number(req.query.durationTolerance),
+        ignoreAlbum: req.query.ignoreAlbum === 'true'
+    });
+
+    const pageGroups = groups.slice((page - 1) * limit, page * limit);
+    const full = new Map((await Track.find({ _id: { $in: pageGroups.flatMap(g => g.tracks.map(t => t._id)) } }))
+        .map(track => [String(track._id), track]));
+    res.json({
+        data: pageGroups.map(group => {
+            const groupTracks = group.tracks.map(t => full.get(String(t._id))).filter(Boolean);
+            return { ...group, tracks: groupTracks, canonicalId: dedupe.pickCanonical(groupTracks)?._id };
+        }),
+        page,
+        limit,
+        total: groups.length,
+        totalPages: Math.ceil(groups.length / limit),
+        truncated: tracks.length === DUPLICATE_SCAN_LIMIT
+    });
+});
+
+// POST merge duplicates into one track (body: { trackIds, canonicalId }). The canonical
+// track (by default the one dedupe.pickCanonical prefers) keeps its details and gains
+// those it lacks, including audio and cover art. Playlist entries, playback sessions and
+// play history pointing at the others are moved to it, then the others are deleted for good.
+app.post('/api/v1/tracks/merge', requireAuth, async (req, res) => {
+    const ids = [...new Set(req.body.trackIds.map(id => id.toLowerCase()))];
+    const canonicalId = req.body.canonicalId?.toLowerCase();
+    if (ids.length < 2) throw new BadRequestError('Give at least two different tracks to merge.');
+    if (canonicalId && !ids.includes(canonicalId)) throw new BadRequestError('canonicalId must be one of trackIds.');
+
+    const removedFiles = [];
+    const result = await withTransaction(async session => {
+        removedFiles.length = 0; // the transaction may be retried
+
+        const tracks = await Track.find({ _id: { $in: ids } }).session(session);
+        if (tracks.length < ids.length) {
+            const found = new Set(tracks.map(t => String(t._id)));
+            throw new NotFoundError(`Track not found: ${ids.filter(id => !found.has(id)).join(', ')}`);
+        }
+        const canonical = canonicalId
+            ? tracks.find(t => String(t._id) === canonicalId)
+            : dedupe.pickCanonical(tracks.filter(t => !t.deletedAt));
+        if (!canonical || canonical.deletedAt) throw new BadRequestError('The canonical track is in the trash; restore it first.');
+        checkIfMatch(req, canonical);
+
+        const duplicates = tracks.filter(t => t !== canonical);
+        const duplicateIds = duplicates.map(t => t._id);
+        canonical.set(dedupe.mergedDetails(canonical, duplicates));
+        for (const field of ['file', 'coverArt']) {
+            const donor = !canonical[field] && duplicates.find(t => t[field]);
+            if (!donor) continue;
+            canonical[field] = donor[field].toObject();
+            donor[field] = undefined;
+        }
+        removedFiles.push(...duplicates.flatMap(trackFileKeys));
+
+        // Entries of a duplicate become entries of the canonical track; playlists that
+        // don't allow repeats keep only the first of them
+        const playlists = await Playlist.find({ 'tracks.trackId': { $in: duplicateIds } }).session(session);
+        for (const playlist of playlists) {
+            const seen = new Set();
+            const entries = [...playlist.tracks].sort(byEntryOrder).filter(entry => {
+                if (duplicateIds.some(id => id.equals(entry.trackId))) entry.trackId = canonical._id;
+                const id = String(entry.trackId);
+                if (playlist.allowDuplicates || !seen.has(id)) return seen.add(id);
+                return false;
+            });
+            renumberEntries(playlist, entries);
+            await savePlaylist(playlist, req, 'merge', { session });
+        }
+
+        const sessions = await Playback.find({
+            $or: [{ trackId: { $in: duplicateIds } }, { queue: { $in: duplicateIds } }, { upNext: { $in: duplicateIds } }]
+        }).session(session);
+        for (const playback of sessions) {
+            playbackEngine.replaceTracks(playback, duplicateIds, canonical._id);
+            playback.updatedAt = Date.now();
+            await playback.save({ session });
+            afterCommit(session, () => notify(playback.userId, 'playback.updated', playback, req));
+        }
+
+        const { modifiedCount } = await PlayEvent.updateMany({ trackId: { $in: duplicateIds } }, { trackId: canonical._id }).session(session);
+        await Track.deleteMany({ _id: { $in: duplicateIds } }).session(session);
+        await canonical.save({ session });
+
+        return {
+            track: canonical,
+            merged: duplicateIds,
+            playlistsUpdated: playlists.length,
+            playbackSessionsUpdated: sessions.length,
+            playEventsUpdated: modifiedCount
+        };
+    });
+
+    await removeStoredFiles(removedFiles);
+    setETag(res, result.track);
+    res.json(result);
+});
+
+// GET one track by ID
+app.get('/api/v1/tracks/:id', async (req, res) => {
+    const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+    if (!track) throw new NotFoundError('Track not found');
+    setETag(res, track);
+    res.json(track);
+});
+
+// POST create a new track
+app.post('/api/v1/tracks', async (req, res) => {
+    const track = new Track(req.body);
+    await track.save();
+    setETag(res, track);
+    res.status(201).json(track);
+});
+
+// POST upload an audio file (multipart field "file") as a new track. Its tags fill in
+// the details; title, artist and album form fields override them.
+app.post('/api/v1/tracks/upload', requireAuth, async (req, res) => {
+    await receiveUpload(req, res);
+    if (!req.file) throw new RequestValidationError([{ location: 'body', field: 'file', message: 'is required' }]);
+
+    try {
+        const overrides = uploadOverrides(req.body);
+        const audio = await media.readAudioFile(req.file.path, req.file.originalname);
+        const track = new Track({ ...audio.fields, ...overrides });
+        const file = await storeUpload(track, req.file, audio);
+        await saveTrackMedia(track, await attachTrackMedia(track, file, audio));
+        setETag(res, track);
+        res.status(201).json(track);
+    } finally {
+        await fsp.rm(req.file.path, { force: true });
+    }
+});
+
+// PUT update track details
+app.put('/api/v1/tracks/:id', async (req, res) => {
+    const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+    if (!track) throw new NotFoundError('Track not found');
+    checkIfMatch(req, track);
+
+    track.set(req.body);
+    await track.save();
+    setETag(res, track);
+    res.json(track);
+});
+
+// PUT link a file already in the media directory ({ path }) as a track's audio,
+// instead of uploading one. Its tags fill in details as for an upload.
+app.put('/api/v1/tracks/:id/file', requireAuth, async (req, res, next) => {
+    if (!req.is('application/json')) return next();
+
+    const key = mediaPath(req.body.path);
+    const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+    if (!track) throw new NotFoundError('Track not found');
+    checkIfMatch(req, track);
+
+    const stat = await storage.stat(key);
+    if (!stat) throw new NotFoundError(`No file at ${key} in the media directory`);
+    const audio = await media.readAudioStream(storage.get(key), { size: stat.size, name: key });
+    applyAudioFields(track, audio);
+
+    const file = { key, size: stat.size, originalName: path.posix.basename(key), linked: true };
+    await saveTrackMedia(track, await attachTrackMedia(track, file, audio));
+    setETag(res, track);
+    res.json(track);
+});
+
+// PUT replace a track's audio file with an upload (multipart field "file")
+app.put('/api/v1/tracks/:id/file', async (req, res) => {
+    await receiveUpload(req, res);
+    if (!req.file) throw new RequestValidationError([{ location: 'body', field: 'file', message: 'is required' }]);
+
+    try {
+        const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+        if (!track) throw new NotFoundError('Track not found');
+        checkIfMatch(req, track);
+
+        const overrides = uploadOverrides(req.body);
+        const audio = await media.readAudioFile(req.file.path, req.file.originalname);
+        applyAudioFields(track, audio);
+        track.set(overrides);
+
+        const file = await storeUpload(track, req.file, audio);
+        await saveTrackMedia(track, await attachTrackMedia(track, file, audio));
+        setETag(res, track);
+        res.json(track);
+    } finally {
+        await fsp.rm(req.file.path, { force: true });
+    }
+});
+
+// GET a track's cover art (the picture embedded in its audio file)
+app.get('/api/v1/tracks/:id/cover', async (req, res) => {
+    const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+    if (!track) throw new NotFoundError('Track not found');
+    if (!track.coverArt || !(await storage.stat(track.coverArt.key))) throw new NotFoundError('Track has no cover art');
+
+    res.set({
+        'Content-Type': track.coverArt.mimeType,
+        'Content-Length': track.coverArt.size,
+        'Cache-Control': 'public, max-age=86400',
+        'Cross-Origin-Resource-Policy': 'cross-origin' // let other sites show it in <img>
+    });
+    await sendStoredFile(res, storage.get(track.coverArt.key));
+});
+
+// GET stream a track's audio. Supports Range requests (seeking, resuming) and conditional
+// requests. With ?playbackId= (authenticated) the session's position follows the bytes
+// served, so another device can resume where this one stopped.
+app.get('/api/v1/tracks/:id/stream', (req, res, next) => (req.query.playbackId ? requireAuth(req, res, next) : next()), async (req, res) => {
+    const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+    if (!track) throw new NotFoundError('Track not found');
+    const stat = track.file && await storage.stat(track.file.key);
+    if (!stat) throw new NotFoundError('Track has no audio file');
+
+    let playback = null;
+    if (req.query.playbackId) {
+        playback = await Playback.findOne({ _id: req.query.playbackId, userId: req.user.id });
+        if (!playback) throw new NotFoundError('Playback not found');
+        if (String(playback.trackId) !== String(track._id)) {
+            throw new ConflictError('The playback session is not playing this track.', {}, 'TRACK_NOT_CURRENT');
+        }
+    }
+
+    const etag = `"${stat.size.toString(36)}-${stat.modifiedAt.getTime().toString(36)}"`;
+    res.set({
+        'Content-Type': track.file.mimeType,
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': stat.modifiedAt.toUTCString(),
+        // Position-tracking requests must reach the server, so they're only revalidated
+        'Cache-Control': playback ? 'private, no-cache' : 'public, max-age=86400',
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (req.fresh) return res.status(304).end();
+
+    const { start, end } = requestedRange(req, res, stat.size);
+    if (end - start + 1 < stat.size) {
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+    res.set('Content-Length', String(end - start + 1));
+    if (req.method === 'HEAD') return res.end();
+
+    const stream = storage.get(track.file.key, { start, end });
+    if (playback) followStreamPosition(stream, playback, track, { start, size: stat.size });
+    await sendStoredFile(res, stream);
+});
+
+// Permanently delete a track. `cascade` first removes it from every playlist and
+// playback session (closing sessions that were playing it); otherwise any reference
+// fails the delete with a 409 listing what still uses the track. `check(track)` may
+// throw to veto the delete (e.g. a failed If-Match). Runs in its own transaction unless
+// given the `session` of one already in progress; then the caller removes the track's
+// stored files, collected in `removedFiles`, once that transaction has committed.
+async function deleteTrackPermanently(trackId, { cascade = false, check, session, removedFiles } = {}) {
+    trackId = String(trackId).toLowerCase(); // references are compared as strings, which are lowercase hex
+    if (session === undefined) {
+        const files = [];
+        const result = await withTransaction(s => deleteTrackPermanently(trackId, { cascade, check, session: s, removedFiles: files }));
+        await removeStoredFiles(files);
+        return result;
+    }
+
+    const track = await Track.findById(trackId).session(session);
+    if (!track) throw new NotFoundError('Track not found');
+    if (check) check(track);
+
+    const playlists = await Playlist.find({ 'tracks.trackId': trackId }).session(session);
+    const sessions = await Playback.find({ $or: [{ trackId }, { queue: trackId }, { upNext: trackId }] }).session(session);
+
+    if (!cascade && (playlists.length || sessions.length)) {
+        throw new ConflictError('Track is still in use; remove it from these playlists first or delete with mode=cascade.', {
+            playlists: playlists.map(p => ({ _id: p._id, name: p.name })),
+            playbackSessions: sessions.length
+        }, 'TRACK_IN_USE');
+    }
+
+    for (const playlist of playlists) {
+        playlist.tracks = playlist.tracks.filter(t => t.trackId.toString() !== trackId);
+        renumberEntries(playlist);
+        await savePlaylist(playlist, null, 'track-deleted', { session });
+    }
+    for (const playback of sessions) {
+        const wasPlaying = playbackEngine.removeTrack(playback, trackId);
+        if (wasPlaying || !playback.queue.length) {
+            playback.trackId = undefined;
+            playback.position = 0;
+            playback.isPlaying = false;
+            playback.endedAt = Date.now();
+        }
+        playback.updatedAt = Date.now();
+        await playback.save({ session });
+        afterCommit(session, () => notify(playback.userId, 'playback.updated', playback));
+    }
+
+    await Track.deleteOne({ _id: trackId }).session(session);
+    removedFiles?.push(...trackFileKeys(track));
+    return { playlistsUpdated: playlists.length, playbackSessionsUpdated: sessions.length };
+}
+
+// Deleting tracks for good reaches into every user's playlists and playback sessions,
+// so only signed-in users may do it
+function requireAuthToDeletePermanently(req, res, next) {
+    return (req.query.mode || 'soft') === 'soft' ? next() : requireAuth(req, res, next);
+}
+
+// DELETE a track. ?mode= decides what happens to it and to playlists and playback sessions using it:
+//   soft (default) - move it to the trash; it stays resolvable where it is referenced until purged
+//   block          - delete it for good, refusing with 409 while anything references it
+//   cascade        - remove it from every playlist and playback session, then delete it for good
+app.delete('/api/v1/tracks/:id', requireAuthToDeletePermanently, async (req, res) => {
+    const mode = req.query.mode || 'soft';
+
+    if (mode === 'soft') {
+        const track = await Track.findOne({ _id: req.params.id, deletedAt: null });
+        if (!track) throw new NotFoundError('Track not found');
+        checkIfMatch(req, track);
+
+        track.deletedAt = Date.now();
+        await track.save();
+        return res.json({ message: 'Track moved to trash', mode, purgeAt: purgeDate(track) });
+    }
+
+    const result = await deleteTrackPermanently(req.params.id, {
+        cascade: mode === 'cascade',
+        check: track => checkIfMatch(req, track)
+    });
+    res.json({ message: 'Track permanently deleted', mode, ...result });
+});
+
+// POST restore a track from the trash
+app.post('/api/v1/tracks/:id/restore', async (req, res) => {
+    const track = await Track.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!track) throw new NotFoundError('Track not found in trash');
+    checkIfMatch(req, track);
+
+    track.deletedAt = null;
+    await track.save();
+    setETag(res, track);
+    res.json(track);
+});
+
+
+// ==============================
+// SEARCH ROUTES 🔎
+// ==============================
+
+// GET search tracks by title/artist/album/metadata (?playlistId= scopes to one of your playlists)
+app.get('/api/v1/search', (req, res, next) => (req.query.playlistId ? requireAuth(req, res, next) : next()), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const terms = tokenize(q);
+  if (!terms.length) throw new BadRequestError('Query parameter q is required.');
+
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  const scope = { deletedAt: null };
+  if (req.query.playlistId) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.playlistId)) {
+      throw new BadRequestError('Invalid playlistId format.');
+    }
+    const playlist = await findPlaylist(req, 'viewer', { id: req.query.playlistId, select: 'tracks.trackId type smart' });
+    scope._id = { $in: (await playlistEntries(playlist)).map(t => t.trackId._id) };
+  }
+
+  // Tracks with a word matching every term, in a stable order so the same query always
+  // ranks the same candidates
+  const regexHits = (regexFor, limit, exclude = []) => Track.find({
+    ...scope,
+    $and: [
+      ...terms.map(term => ({ $or: Object.keys(SEARCH_FIELDS).map(field => ({ [field]: regexFor(term) })) })),
+      ...(exclude.length ? [{ _id: { $nin: exclude } }] : [])
+    ]
+  })
+    .sort({ title: 1, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  // Stemmed full-text matches and prefix matches, then typo-tolerant matches while there
+  // is room for more candidates, all ranked together
+  const [textHits, prefixHits] = await Promise.all([
+    Track.find({ ...scope, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_CANDIDATES)
+      .lean(),
+    regexHits(prefixRegex, SEARCH_CANDIDATES)
+  ]);
+  const fuzzyHits = prefixHits.length < SEARCH_CANDIDATES
+    ? await regexHits(fuzzyRegex, SEARCH_CANDIDATES - prefixHits.length, prefixHits.map(track => track._id))
+    : [];
+
+  const candidates = new Map();
+  for (const track of [...textHits, ...prefixHits, ...fuzzyHits]) {
+    const id = track._id.toString();
+    const textScore = track.score || candidates.get(id)?.textScore || 0;
+    candidates.set(id, { ...track, textScore });
+  }
+
+  const results = [...candidates.values()]
+    .map(({ score, textScore, ...track }) => ({ ...track, score: scoreTrack(track, terms) + textScore }))
+    .filter(track => track.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  res.json({ query: q, total: results.length, data: results });
+});
+
+// ==============================
+// PLAYLIST ROUTES 🎧
+// ==============================
+
+// GET playlists (paginated; ?populate=true expands track details). ?scope= picks which:
+// own (default), shared (those the caller collaborates on) or public (anyone's public ones)
+app.get('/api/v1/playlists', async (req, res) => {
+  const listQuery = buildListQuery(req.query, {
+    sortFields: ['name', 'createdAt', 'updatedAt'],
+    defaultSort: '-updatedAt',
+    buildFilter: buildPlaylistFilter
+  });
+  const scopes = {
+    own: { userId: req.user.id },
+    shared: { 'collaborators.userId': req.user.id },
+    public: { visibility: 'public' }
+  };
+  Object.assign(listQuery.filter, scopes[req.query.scope || 'own']);
+  listQuery.filter.deletedAt = null;
+
+  const populate = req.query.populate === 'true' ? 'tracks.trackId' : null;
+  res.json(await paginate(Playlist, listQuery, populate));
+});
+
+// GET the caller's trashed playlists (most recently deleted first)
+app.get('/api/v1/playlists/trash', async (req, res) => {
+  const listQuery = buildListQuery(req.query, {
+    sortFields: ['name', 'deletedAt'],
+    defaultSort: '-deletedAt',
+    buildFilter: () => ({ userId: req.user.id, deletedAt: { $ne: null } })
+  });
+  res.json(withPurgeDates(await paginate(Playlist, listQuery)));
+});
+
+// GET one playlist by ID
+app.get('/api/v1/playlists/:id', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer', { populate: 'tracks.trackId' });
+
+  // A smart playlist changes with the library, so its version can't serve as an ETag
+  if (playlist.type === 'smart') {
+    return res.json({ ...playlist.toJSON(), tracks: await smartEntries(playlist), stats: await getPlaylistStats(playlist) });
+  }
+
+  playlist.tracks.sort(byEntryOrder);
+  setPopulatedETag(res, playlist);
+  if (req.fresh) return res.status(304).end(); // the stats can't have changed either
+  res.json({ ...playlist.toJSON(), stats: await getPlaylistStats(playlist) });
+});
+
+// GET a playlist's stats: track count, total duration, artist/album/genre breakdowns and
+// the most recently changed entry
+app.get('/api/v1/playlists/:id/stats', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer');
+  res.json(await getPlaylistStats(playlist));
+});
+
+// POST create new playlist
+app.post('/api/v1/playlists', async (req, res) => {
+  if (req.body.type === 'smart') {
+    validateSmartDefinition(req.body.smart);
+  } else if (req.body.smart) {
+    throw new BadRequestError('smart is only allowed for playlists of type smart.');
+  }
+
+  const playlist = new Playlist({ ...req.body, userId: req.user.id });
+  await savePlaylist(playlist, req, 'create');
+  setETag(res, playlist);
+  res.status(201).json(playlist);
+});
+
+// PUT update playlist details
+app.put('/api/v1/playlists/:id', async (req, res) => {
+  const { userId, ...updates } = req.body;
+
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  if (updates.visibility !== undefined && playlist.$locals.role !== 'owner') {
+    throw new ForbiddenError('Only the owner of the playlist can change its visibility.');
+  }
+
+  if (updates.smart) {
+    if (playlist.type !== 'smart') throw new BadRequestError('smart is only allowed for playlists of type smart.');
+    updates.smart = { ...playlist.smart.toObject(), ...updates.smart };
+    validateSmartDefinition(updates.smart);
+  }
+
+  // Duplicates can only be switched off once the playlist no longer contains any
+  if (updates.allowDuplicates === false) {
+    const trackIds = new Set(playlist.tracks.map(t => t.trackId.toString()));
+    if (trackIds.size < playlist.tracks.length) {
+      throw new ConflictError('Playlist contains repeated tracks; remove them before disabling allowDuplicates.');
+    }
+  }
+
+  playlist.set(updates);
+  await savePlaylist(playlist, req, 'update');
+  setETag(res, playlist);
+  res.json(playlist);
+});
+
+// DELETE a playlist: moves it to the trash, or removes it for good with ?permanent=true
+app.delete('/api/v1/playlists/:id', async (req, res) => {
+  if (req.query.permanent === 'true') {
+    const playlist = await Playlist.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!playlist) throw new NotFoundError('Playlist not found');
+    checkIfMatch(req, playlist);
+
+    await playlist.deleteOne();
+    await PlaylistRevision.deleteMany({ playlistId: playlist._id });
+    await ShareLink.deleteMany({ playlistId: playlist._id });
+    notifyPlaylist(playlist, 'playlist.deleted', 'delete', req);
+    return res.json({ message: 'Playlist permanently deleted' });
+  }
+
+  const playlist = await findPlaylist(req, 'owner');
+  checkIfMatch(req, playlist);
+
+  playlist.deletedAt = Date.now();
+  await playlist.save();
+  notifyPlaylist(playlist, 'playlist.deleted', 'trash', req);
+  res.json({ message: 'Playlist moved to trash', purgeAt: purgeDate(playlist) });
+});
+
+// POST restore a playlist from the trash
+app.post('/api/v1/playlists/:id/restore', async (req, res) => {
+  const playlist = await Playlist.findOne({ _id: req.params.id, userId: req.user.id, deletedAt: { $ne: null } });
+  if (!playlist) throw new NotFoundError('Playlist not found in trash');
+  checkIfMatch(req, playlist);
+
+  playlist.deletedAt = null;
+  await playlist.save();
+  notifyPlaylist(playlist, 'playlist.restored', 'restore', req);
+  setETag(res, playlist);
+  res.json(playlist);
+});
+
+// POST freeze a smart playlist: the tracks its rules currently match become hand-picked entries
+app.post('/api/v1/playlists/:id/freeze', async (req, res) => {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  if (playlist.type !== 'smart') throw new ConflictError('Only smart playlists can be frozen.', {}, 'NOT_SMART_PLAYLIST');
+
+  const entries = await smartEntries(playlist);
+  playlist.tracks = entries.map(entry => ({ trackId: entry.trackId._id, order: entry.order }));
+  playlist.type = 'manual';
+  playlist.smart = undefined;
+  await savePlaylist(playlist, req, 'freeze');
+
+  await playlist.populate('tracks.trackId');
+  setETag(res, playlist);
+  res.json(playlist);
+});
+
+// Where exported playlists point for a track: its original location if it was imported with one, else its API URL
+function trackLocation(req, track) {
+  return track.metadata?.location || `${req.protocol}://${req.get('host')}/api/v1/tracks/${track._id}`;
+}
+
+// Find a library track matching an imported entry by title, artist and (roughly) duration
+function matchImportedTrack(item) {
+  const filter = { title: new RegExp(`^${escapeRegex(item.title)}$`, 'i'), deletedAt: null };
+  if (item.artist) filter.artist = new RegExp(`^${escapeRegex(item.artist)}$`, 'i');
+  if (item.duration !== undefined) {
+    filter.$or = [
+      { duration: { $gte: item.duration - IMPORT_DURATION_TOLERANCE, $lte: item.duration + IMPORT_DURATION_TOLERANCE } },
+      { duration: null }
+    ];
+  }
+  return Track.findOne(filter);
+}
+
+// GET export a playlist as m3u, m3u8 (default), xspf or json
+app.get('/api/v1/playlists/:id/export', async (req, res) => {
+  const format = String(req.query.format || 'm3u8').toLowerCase();
+  const spec = playlistFormats.FORMATS[format];
+  if (!spec) {
+    throw new BadRequestError(`format must be one of: ${Object.keys(playlistFormats.FORMATS).join(', ')}.`);
+  }
+
+  const playlist = await findPlaylist(req, 'viewer', { populate: 'tracks.trackId' });
+
+  const tracks = (await playlistEntries(playlist)).map(t => t.trackId).filter(Boolean);
+  const body = playlistFormats.exportPlaylist(format, playlist, tracks, track => trackLocation(req, track));
+  const fileName = `${playlist.name.replace(/[^\w.-]+/g, '_') || 'playlist'}.${spec.extension}`;
+
+  res.set('Content-Type', spec.contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(body);
+});
+
+// POST import a playlist file (m3u/m3u8/xspf as the raw request body, or portable json)
+// ?format= overrides detection, ?name= overrides the file's title, ?create=false only links existing tracks
+app.post(
+  '/api/v1/playlists/import',
+  express.text({
+    type: ['text/*', 'audio/x-mpegurl', 'audio/mpegurl', 'application/x-mpegurl', 'application/vnd.apple.mpegurl', 'application/xspf+xml', 'application/xml'],
+    limit: '5mb'
+  }),
+  async (req, res) => {
+    const content = req.body;
+    if (!content || (typeof content === 'string' && !content.trim())) {
+      throw new BadRequestError('Request body must contain a playlist file.');
+    }
+
+    const format = req.query.format ? String(req.query.format).toLowerCase() : playlistFormats.detectFormat(content);
+    if (!playlistFormats.FORMATS[format]) {
+      throw new BadRequestError(`format must be one of: ${Object.keys(playlistFormats.FORMATS).join(', ')}.`);
+    }
+
+    const parsed = playlistFormats.parsePlaylist(format, content);
+    if (!parsed.items.length) {
+      throw new BadRequestError('No importable tracks found.', { unmatched: parsed.errors });
+    }
+    if (parsed.items.length > IMPORT_MAX_ENTRIES) {
+      throw new PayloadTooLargeError(`Playlists are limited to ${IMPORT_MAX_ENTRIES} entries per import.`);
+    }
+
+    const createMissing = req.query.create !== 'false';
+    const unmatched = [...parsed.errors];
+    const seen = new Set();
+    const entries = [];
+    let matched = 0;
+    let created = 0;
+
+    for (const item of parsed.items) {
+      let track = await matchImportedTrack(item);
+      if (track) {
+        matched++;
+      } else if (createMissing) {
+        const metadata = { ...item.metadata };
+        if (item.location) metadata.location = item.location;
+        track = await new Track({ title: item.title, artist: item.artist, album: item.album, duration: item.duration, metadata }).save();
+        created++;
+      } else {
+        unmatched.push({ line: item.line, text: [item.artist, item.title].filter(Boolean).join(' - '), reason: 'No matching track in the library' });
+        continue;
+      }
+
+      if (seen.has(track._id.toString())) {
+        unmatched.push({ line: item.line, text: [item.artist, item.title].filter(Boolean).join(' - '), reason: 'Duplicate of an earlier entry' });
+        continue;
+      }
+      seen.add(track._id.toString());
+      entries.push({ trackId: track._id, order: entries.length + 1 });
+    }
+
+    const playlist = new Playlist({
+      userId: req.user.id,
+      name: req.query.name || parsed.name || 'Imported playlist',
+      description: parsed.description,
+      tracks: entries
+    });
+    await savePlaylist(playlist, req, 'import');
+
+    res.status(201).json({
+      playlist,
+      format,
+      matched,
+      created,
+      unmatched: unmatched.sort((a, b) => a.line - b.line)
+    });
+  }
+);
+
+// ==============================
+// TRACK ROUTES (within playlists)
+// ==============================
+
+// GET all tracks in a playlist
+app.get('/api/v1/playlists/:id/tracks', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer', { populate: 'tracks.trackId' });
+  if (playlist.type !== 'smart') setPopulatedETag(res, playlist);
+  res.json(await playlistEntries(playlist));
+});
+
+// GET tracks to add to a playlist, best first (?limit=, default 10), with why each was picked
+app.get('/api/v1/playlists/:id/recommendations', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer');
+  res.json(await recommendTracks(playlist, Number(req.query.limit) || 10));
+});
+
+// POST add a track to playlist (Handles both NEW and EXISTING tracks).
+// ?autoExtend=N also appends the top N recommendations, and works without a track.
+app.post('/api/v1/playlists/:id/tracks', async (req, res) => {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+  const autoExtend = Number(req.query.autoExtend) || 0; // also append this many suggested tracks
+
+  let trackIdToAdd;
+  let trackDetails; 
+
+  // Case 1: provides details (title) to CREATE a new Track
+  if (req.body?.title) {
+    if (req.body.trackId) {
+      throw new BadRequestError('Cannot provide both track details (like title) and an existing trackId.');
+    }
+    
+    const newTrack = new Track(req.body);
+    trackDetails = await newTrack.save();
+    trackIdToAdd = trackDetails._id;
+    
+  // Case 2: provides an ID to ADD an EXISTING Track
+  } else if (req.body?.trackId) {
+    if (!mongoose.Types.ObjectId.isValid(req.body.trackId)) {
+      throw new BadRequestError('Invalid existing trackId format.');
+    }
+    
+    trackIdToAdd = req.body.trackId;
+    trackDetails = await Track.findOne({ _id: trackIdToAdd, deletedAt: null });
+    
+    if (!trackDetails) {
+      throw new NotFoundError('The existing trackId provided does not correspond to a Track document.');
+    }
+  } else if (!autoExtend) {
+    throw new BadRequestError('Missing trackId (to add existing) or track details (like title) to create a new track.');
+  }
+
+  let trackEntry;
+  if (trackIdToAdd) {
+    // Check for duplicates in playlist (unless the playlist opts in to repeats)
+    const isDuplicate = playlist.tracks.some(t => t.trackId.toString() === trackIdToAdd.toString());
+    if (isDuplicate && !playlist.allowDuplicates) {
+      throw new BadRequestError('Track already exists in this playlist. Enable allowDuplicates on the playlist to repeat tracks.');
+    }
+
+    // Add to playlist
+    trackEntry = playlist.tracks.create({ 
+      trackId: trackIdToAdd, 
+      order: playlist.tracks.length + 1 
+    });
+    playlist.tracks.push(trackEntry);
+  }
+
+  // Then append the best suggestions for the playlist as it now is
+  const extended = [];
+  if (autoExtend) {
+    for (const { track } of await recommendTracks(playlist, autoExtend)) {
+      const entry = playlist.tracks.create({ trackId: track._id, order: playlist.tracks.length + 1 });
+      playlist.tracks.push(entry);
+      extended.push({ entryId: entry._id, track });
+    }
+  }
+
+  renumberEntries(playlist);
+  await savePlaylist(playlist, req, trackEntry ? 'add' : 'auto-extend');
+
+  setETag(res, playlist);
+  res.status(201).json({
+    message: trackEntry
+      ? 'Track successfully added/created and linked to playlist.'
+      : `Added ${extended.length} suggested track(s) to the playlist.`,
+    entryId: trackEntry?._id,
+    track: trackDetails,
+    ...(autoExtend ? { extended } : {})
+  });
+  
+});
+
+// POST add many tracks to a playlist, in the order given. Items are { trackId } for an
+// existing track or track details to create one, as for POST /playlists/:id/tracks.
+// The additions are saved together as one revision.
+app.post('/api/v1/playlists/:id/tracks/bulk', async (req, res) => {
+  let playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+
+  const items = readBulkItems(req);
+  let present;
+  let attempts = 0;
+
+  const results = await runBulk(items, {
+    atomic: req.query.atomic === 'true',
+    check: item => {
+      const errors = objectItemErrors(item);
+      if (errors.length) return errors;
+      if (item.trackId === undefined) return validateTrackInput(item);
+      if (Object.keys(item).length > 1) return [{ location: 'body', field: 'trackId', message: 'cannot be combined with track details' }];
+      return idErrors(item.trackId, 'trackId');
+    },
+    begin: async session => {
+      // A retried transaction starts over from the stored playlist, not the one the failed attempt changed
+      if (attempts++) {
+        playlist = await Playlist.findOne({ _id: playlist._id, deletedAt: null }).session(session);
+        if (!playlist) throw new NotFoundError('Playlist not found');
+        checkIfMatch(req, playlist);
+        assertManual(playlist);
+      }
+      present = new Set(playlist.tracks.map(t => t.trackId.toString()));
+    },
+    apply: async (item, session) => {
+      let trackId;
+      if (item.trackId !== undefined) {
+        trackId = String(new mongoose.Types.ObjectId(item.trackId)); // as `present` holds them, in lowercase
+        if (!(await Track.exists({ _id: trackId, deletedAt: null }).session(session))) throw new NotFoundError('Track not found');
+        if (present.has(trackId) && !playlist.allowDuplicates) {
+          throw new BadRequestError('Track already exists in this playlist. Enable allowDuplicates on the playlist to repeat tracks.');
+        }
+      } else {
+        const [track] = await Track.create([item], { session });
+        trackId = track._id.toString();
+      }
+
+      present.add(trackId);
+      const entry = playlist.tracks.create({ trackId, order: playlist.tracks.length + 1 });
+      playlist.tracks.push(entry);
+      return { status: 201, id: trackId, entryId: entry._id };
+    },
+    finish: async session => {
+      renumberEntries(playlist);
+      await savePlaylist(playlist, req, 'bulk-add', { session });
+    }
+  });
+
+  setETag(res, playlist);
+  res.json(bulkSummary(results));
+});
+
+// PUT reorder the whole playlist
+// body: { entryIds: [...] } or { trackIds: [...] } listing every entry in its new order
+app.put('/api/v1/playlists/:id/tracks/order', async (req, res) => {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+
+  const { entryIds, trackIds } = req.body;
+  const ids = entryIds ?? trackIds;
+  const key = entryIds ? '_id' : 'trackId';
+  if (!Array.isArray(ids)) throw new BadRequestError('entryIds or trackIds must be an array.');
+
+  const entriesById = new Map(playlist.tracks.map(t => [t[key].toString(), t]));
+  if (entriesById.size !== playlist.tracks.length) {
+    throw new BadRequestError('Playlist contains repeated tracks; reorder it by entryIds instead.');
+  }
+  const uniqueIds = new Set(ids.map(String));
+  if (uniqueIds.size !== ids.length || ids.length !== entriesById.size || ![...uniqueIds].every(id => entriesById.has(id))) {
+    throw new BadRequestError('The ordering must list every entry in the playlist exactly once.');
+  }
+
+  renumberEntries(playlist, ids.map(id => entriesById.get(String(id))));
+  await savePlaylist(playlist, req, 'reorder');
+
+  await playlist.populate('tracks.trackId');
+  setETag(res, playlist);
+  res.json(playlist.tracks);
+});
+
+// POST move an entry to a new position
+// body: { position } or { before } or { after }, anchors use the same id kind as the route
+async function moveEntryRoute(req, res) {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+
+  const entry = findEntry(playlist, req.params);
+
+  const { position, before, after } = req.body;
+  const targets = [position, before, after].filter(v => v !== undefined);
+  if (targets.length !== 1) {
+    throw new BadRequestError('Provide exactly one of position, before or after.');
+  }
+
+  let newPosition = position;
+  if (position !== undefined) {
+    if (!Number.isInteger(position) || position < 1) {
+      throw new BadRequestError('position must be a positive integer.');
+    }
+  } else {
+    const anchorId = String(before ?? after);
+    const anchor = findEntry(playlist, req.params.entryId ? { entryId: anchorId } : { trackId: anchorId }, 'Anchor: ');
+    if (anchor === entry) {
+      throw new BadRequestError('Cannot move an entry relative to itself.');
+    }
+    // Position of the anchor once the moving entry has been taken out of the list
+    const remaining = [...playlist.tracks].sort(byEntryOrder).filter(t => t !== entry);
+    newPosition = remaining.indexOf(anchor) + (before !== undefined ? 1 : 2);
+  }
+
+  moveEntry(playlist, entry, newPosition);
+  entry.updatedAt = Date.now();
+  await savePlaylist(playlist, req, 'move');
+
+  await playlist.populate('tracks.trackId');
+  setETag(res, playlist);
+  res.json(playlist.tracks);
+}
+app.post('/api/v1/playlists/:id/tracks/:trackId/move', moveEntryRoute);
+app.post('/api/v1/playlists/:id/entries/:entryId/move', moveEntryRoute);
+
+// PUT update entry details (order, addedAt). Setting `order` moves the entry to that position.
+async function updateEntryRoute(req, res) {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+
+  const trackItem = findEntry(playlist, req.params);
+
+  // Only update properties relevant to the track-playlist relationship (like order or addedAt)
+  if (req.body.addedAt !== undefined) trackItem.addedAt = req.body.addedAt;
+  if (req.body.order !== undefined) {
+    if (!Number.isInteger(req.body.order) || req.body.order < 1) {
+      throw new BadRequestError('order must be a positive integer.');
+    }
+    moveEntry(playlist, trackItem, req.body.order);
+  }
+  if (playlist.isModified('tracks')) trackItem.updatedAt = Date.now();
+
+  await savePlaylist(playlist, req, 'update-entry');
+  
+  const populatedTrack = await Playlist.populate(trackItem, { path: 'trackId' });
+
+  setETag(res, playlist);
+  res.json({ 
+      message: 'Track item updated within playlist.', 
+      updatedTrackItem: populatedTrack 
+  });
+}
+app.put('/api/v1/playlists/:id/tracks/:trackId', updateEntryRoute);
+app.put('/api/v1/playlists/:id/entries/:entryId', updateEntryRoute);
+
+// DELETE remove track from playlist (every occurrence of it)
+app.delete('/api/v1/playlists/:id/tracks/:trackId', async (req, res) => {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+
+  const originalLength = playlist.tracks.length;
+  
+  playlist.tracks = playlist.tracks.filter(t => t.trackId.toString() !== req.params.trackId);
+
+  if (playlist.tracks.length === originalLength) {
+      throw new NotFoundError('Track not found in playlist or trackId was invalid.');
+  }
+  
+  renumberEntries(playlist);
+  await savePlaylist(playlist, req, 'remove');
+
+  setETag(res, playlist);
+  res.json({ message: 'Track removed from playlist' });
+});
+
+// DELETE remove a single entry from playlist
+app.delete('/api/v1/playlists/:id/entries/:entryId', async (req, res) => {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+  assertManual(playlist);
+
+  const entry = findEntry(playlist, req.params);
+
+  playlist.tracks = playlist.tracks.filter(t => t !== entry);
+  renumberEntries(playlist);
+  await savePlaylist(playlist, req, 'remove');
+
+  setETag(res, playlist);
+  res.json({ message: 'Entry removed from playlist' });
+});
+
+// ==============================
+// PLAYLIST REVISIONS
+// ==============================
+
+// Load a playlist revision, including the playlist as it was after that edit
+function findRevision(playlist, revision) {
+  return PlaylistRevision.findOne({ playlistId: playlist._id, revision }).select('+snapshot');
+}
+
+// GET a playlist's revisions, newest first (paginated; snapshots are left out)
+app.get('/api/v1/playlists/:id/revisions', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer');
+
+  const listQuery = buildListQuery(req.query, {
+    sortFields: ['revision'],
+    defaultSort: '-revision',
+    buildFilter: () => ({ playlistId: playlist._id })
+  });
+  res.json(await paginate(PlaylistRevision, listQuery, { path: 'userId', select: 'username' }));
+});
+
+// GET a playlist as of a revision
+app.get('/api/v1/playlists/:id/revisions/:revision', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer');
+
+  const revision = await findRevision(playlist, req.params.revision)
+    .populate('snapshot.tracks.trackId')
+    .populate('userId', 'username');
+  if (!revision) throw new NotFoundError('Revision not found');
+  res.json(revision);
+});
+
+// POST revert a playlist to how it was at a revision (recorded as a new revision)
+app.post('/api/v1/playlists/:id/revisions/:revision/revert', async (req, res) => {
+  const playlist = await findPlaylist(req, 'editor');
+  checkIfMatch(req, playlist);
+
+  const target = await findRevision(playlist, req.params.revision);
+  if (!target) throw new NotFoundError('Revision not found');
+  const { snapshot } = target;
+
+  // Entries whose track has since been deleted for good can't come back
+  const trackIds = snapshot.tracks.map(t => t.trackId);
+  const existing = new Set((await Track.distinct('_id', { _id: { $in: trackIds } })).map(String));
+
+  playlist.set({
+    name: snapshot.name,
+    description: snapshot.description,
+    allowDuplicates: snapshot.allowDuplicates,
+    type: snapshot.type || 'manual',
+    smart: snapshot.smart
+  });
+  renumberEntries(playlist, snapshot.tracks
+    .filter(t => existing.has(String(t.trackId)))
+    .map(t => playlist.tracks.create({ _id: t._id, trackId: t.trackId, order: t.order, addedAt: t.addedAt })));
+
+  playlist.$locals.revision = { userId: req.user.id, action: 'revert', revertedTo: target.revision };
+  playlist.updatedAt = Date.now();
+  await playlist.save();
+  notifyPlaylist(playlist, 'playlist.updated', 'revert', req);
+
+  await playlist.populate('tracks.trackId');
+  setETag(res, playlist);
+  res.json(playlist);
+});
+
+// ==============================
+// PLAYLIST SHARING 🤝
+// ==============================
+
+// Copy a playlist into a new private playlist owned by the caller
+async function forkPlaylist(source, req) {
+  const fork = new Playlist({
+    userId: req.user.id,
+    name: req.body?.name || `${source.name} (copy)`,
+    description: source.description,
+    allowDuplicates: source.allowDuplicates,
+    type: source.type,
+    smart: source.smart?.toObject(),
+    tracks: [...source.tracks].sort(byEntryOrder).map((t, i) => ({ trackId: t.trackId, order: i + 1 })),
+    forkedFrom: { playlistId: source._id, revision: source.revision }
+  });
+  await savePlaylist(fork, req, 'fork');
+  return fork;
+}
+
+// The playlist behind a share token; missing, expired and trashed ones are not found
+async function findSharedPlaylist(token) {
+  const link = await ShareLink.findOne({ tokenHash: hashSecret(token) });
+  if (!link || (link.expiresAt && link.expiresAt <= Date.now())) throw new NotFoundError('Share link not found or expired');
+  const playlist = await Playlist.findOne({ _id: link.playlistId, deletedAt: null });
+  if (!playlist) throw new NotFoundError('Share link not found or expired');
+  return playlist;
+}
+
+// POST copy a playlist the caller can see into their own playlists (body: { name } optional)
+app.post('/api/v1/playlists/:id/fork', async (req, res) => {
+  const fork = await forkPlaylist(await findPlaylist(req, 'viewer'), req);
+  setETag(res, fork);
+  res.status(201).json(fork);
+});
+
+// GET a playlist's collaborators, with their usernames
+app.get('/api/v1/playlists/:id/collaborators', async (req, res) => {
+  const playlist = await findPlaylist(req, 'viewer');
+  await playlist.populate({ path: 'collaborators.userId', select: 'username' });
+  res.json(playlist.collaborators);
+});
+
+// PUT add a collaborator or change their role (body: { role: viewer | editor })
+app.put('/api/v1/playlists/:id/collaborators/:userId', async (req, res) => {
+  const playlist = await findPlaylist(req, 'owner');
+  checkIfMatch(req, playlist);
+  const userId = new mongoose.Types.ObjectId(req.params.userId); // the param may be in either case
+  if (userId.equals(playlist.userId)) throw new BadRequestError('The owner of a playlist cannot also be a collaborator.');
+  if (!(await User.exists({ _id: userId }))) throw new NotFoundError('User not found');
+
+  const existing = playlist.collaborators.find(c => userId.equals(c.userId));
+  if (existing) existing.role = req.body.role;
+  else playlist.collaborators.push({ userId, role: req.body.role });
+
+  await playlist.save();
+  notifyPlaylist(playlist, 'playlist.updated', 'share', req);
+  setETag(res, playlist);
+  res.json(playlist.collaborators);
+});
+
+// DELETE remove a collaborator; collaborators may also remove themselves
+app.delete('/api/v1/playlists/:id/collaborators/:userId', async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.params.userId); // the param may be in either case
+  const leaving = userId.equals(req.user.id);
+  const playlist = await findPlaylist(req, leaving ? 'viewer' : 'owner');
+  checkIfMatch(req, playlist);
+
+  const before = playlist.collaborators.length;
+  playlist.collaborators = playlist.collaborators.filter(c => !userId.equals(c.userId));
+  if (playlist.collaborators.length === before) throw new NotFoundError('Collaborator not found');
+
+  await playlist.save();
+  notifyPlaylist(playlist, 'playlist.updated', 'unshare', req, [userId]);
+  res.json({ message: 'Collaborator removed' });
+});
+
+// GET a playlist's share links (their tokens are only shown when created)
+app.get('/api/v1/playlists/:id/share-links', async (req, res) => {
+  const playlist = await findPlaylist(req, 'owner');
+  res.json(await ShareLink.find({ playlistId: playlist._id }).sort({ createdAt: -1 }));
+});
+
+// POST create a read-only share link (body: { label, expiresAt } both optional)
+app.post('/api/v1/playlists/:id/share-links', async (req, res) => {
+  const playlist = await findPlaylist(req, 'owner');
+  if (req.body.expiresAt && new Date(req.body.expiresAt) <= Date.now()) throw new BadRequestError('expiresAt must be in the future.');
+
+  const token = crypto.randomBytes(SHARE_TOKEN_BYTES).toString('base64url');
+  const link = await ShareLink.create({
+    playlistId: playlist._id,
+    tokenHash: hashSecret(token),
+    createdBy: req.user.id,
+    label: req.body.label,
+    expiresAt: req.body.expiresAt
+  });
+  res.status(201).json({ ...link.toJSON(), tokenHash: undefined, token, url: `${req.protocol}://${req.get('host')}/api/v1/shared/${token}` });
+});
+
+// DELETE revoke a share link
+app.delete('/api/v1/playlists/:id/share-links/:linkId', async (req, res) => {
+  const playlist = await findPlaylist(req, 'owner');
+  const { deletedCount } = await ShareLink.deleteOne({ _id: req.params.linkId, playlistId: playlist._id });
+  if (!deletedCount) throw new NotFoundError('Share link not found');
+  res.json({ message: 'Share link revoked' });
+});
+
+// GET a playlist through a share link; no account needed
+app.get('/api/v1/shared/:token', async (req, res) => {
+  const playlist = await findSharedPlaylist(req.params.token);
+  if (playlist.type !== 'smart') await playlist.populate('tracks.trackId');
+  res.json({
+    _id: playlist._id,
+    name: playlist.name,
+    description: playlist.description,
+    type: playlist.type,
+    updatedAt: playlist.updatedAt,
+    tracks: await playlistEntries(playlist)
+  });
+});
+
+// POST copy a playlist shared by link into the caller's own playlists
+app.post('/api/v1/shared/:token/fork', requireAuth, async (req, res) => {
+  const fork = await forkPlaylist(await findSharedPlaylist(req.params.token), req);
+  setETag(res, fork);
+  res.status(201).json(fork);
+});
+
+// ==============================
+// PLAYBACK ROUTES
+// ==============================
+
+// Load the caller's playback session, apply a command to it, save and return it.
+// `apply` throws (e.g. BadRequestError) to reject the command.
+function playbackCommand(apply) {
+  return async (req, res) => {
+    const playback = await Playback.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!playback) throw new NotFoundError('Playback not found');
+
+    await apply(playback, req.body || {});
+
+    playback.updatedAt = Date.now();
+    await playback.save();
+    await flushPlayEvents(playback);
+    await playback.populate('trackId');
+    notify(playback.userId, 'playback.updated', playback, req);
+    res.json(playback);
+  };
+}
+
+// Queue a listening-history event for the session's current state; written by flushPlayEvents
+function recordPlayEvent(playback, type, trackId = playback.trackId, position = playback.position) {
+  if (!trackId) return;
+  playback.$locals.playEvents = playback.$locals.playEvents || [];
+  playback.$locals.playEvents.push({
+    userId: playback.userId,
+    trackId,
+    playbackId: playback._id,
+    playlistId: playback.playlistId,
+    type,
+    position: position || 0
+  });
+}
+
+// Persist queued events. Completed tracks count their full duration as listened.
+async function flushPlayEvents(playback) {
+  const events = playback.$locals.playEvents || [];
+  playback.$locals.playEvents = [];
+  if (!events.length) return;
+
+  const completedIds = events.filter(e => e.type === 'complete').map(e => e.trackId);
+  const durations = new Map(
+    (await Track.find({ _id: { $in: completedIds } }).select('duration')).map(t => [t._id.toString(), t.duration])
+  );
+  for (const event of events) {
+    if (event.type === 'complete') {
+      event.position = durations.get(event.trackId.toString()) ?? event.position;
+      event.listenedSeconds = event.position;
+    } else if (event.type === 'skip') {
+      event.listenedSeconds = event.position;
+    }
+  }
+  await PlayEvent.insertMany(events);
+}
+
+// Parse ?from=&to= for history/stats, defaulting to the last 30 days
+function parseStatsWindow(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) throw new BadRequestError('from and to must be valid dates.');
+  if (from > to) throw new BadRequestError('from must be before to.');
+  return { from, to };
+}
+
+// Validate a position (seconds) against the current track's duration
+async function validatePosition(playback, position) {
+  if (typeof position !== 'number' || position < 0) throw new BadRequestError('position must be a non-negative number of seconds.');
+  const track = playback.trackId && await Track.findById(playback.trackId).select('duration');
+  if (track?.duration && position > track.duration) throw new BadRequestError(`position is past the end of the track (${track.duration}s).`);
+}
+
+// GET last played track
+app.get('/api/v1/playback', async (req, res) => {
+  const playback = await Playback.find({ userId: req.user.id }).sort({ updatedAt: -1 }).limit(1).populate('trackId');
+  res.json(playback);
+});
+
+// GET listening history (newest first, paginated; ?type=start|complete|skip, ?from=&to=)
+app.get('/api/v1/playback/history', async (req, res) => {
+  const listQuery = buildListQuery(req.query, {
+    sortFields: ['at'],
+    defaultSort: '-at',
+    buildFilter: query => {
+      const filter = { userId: req.user.id };
+      if (query.type) filter.type = String(query.type);
+      const at = parseRange(query.from, query.to, 'date', parseDate);
+      if (at) filter.at = at;
+      return filter;
+    }
+  });
+
+  res.json(await paginate(PlayEvent, listQuery, 'trackId'));
+});
+
+// GET listening statistics over a time window (?from=&to=, defaults to the last 30 days; ?limit= for top lists)
+app.get('/api/v1/playback/stats', async (req, res) => {
+  const window = parseStatsWindow(req.query);
+
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  const starts = [{ $match: { type: 'start' } }];
+  const withTrack = [
+    { $lookup: { from: Track.collection.name, localField: 'trackId', foreignField: '_id', as: 'track' } },
+    { $unwind: '$track' }
+  ];
+  const topBy = key => [
+    ...starts,
+    ...withTrack,
+    { $match: { [`track.${key}`]: { $nin: [null, ''] } } },
+    { $group: { _id: `$track.${key}`, plays: { $sum: 1 } } },
+    { $sort: { plays: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, [key]: '$_id', plays: 1 } }
+  ];
+
+  const [stats] = await PlayEvent.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(req.user.id), at: { $gte: window.from, $lte: window.to } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              listeningSeconds: { $sum: '$listenedSeconds' },
+              plays: { $sum: { $cond: [{ $eq: ['$type', 'start'] }, 1, 0] } },
+              completions: { $sum: { $cond: [{ $eq: ['$type', 'complete'] }, 1, 0] } },
+              skips: { $sum: { $cond: [{ $eq: ['$type', 'skip'] }, 1, 0] } }
+            }
+          }
+        ],
+        topTracks: [
+          { $group: { _id: '$trackId', plays: { $sum: { $cond: [{ $eq: ['$type', 'start'] }, 1, 0] } }, listenedSeconds: { $sum: '$listenedSeconds' } } },
+          { $match: { plays: { $gt: 0 } } },
+          { $sort: { plays: -1, listenedSeconds: -1 } },
+          { $limit: limit },
+          { $lookup: { from: Track.collection.name, localField: '_id', foreignField: '_id', as: 'track' } },
+          { $unwind: '$track' },
+          { $project: { _id: 0, track: 1, plays: 1, listenedSeconds: 1 } }
+        ],
+        topArtists: topBy('artist'),
+        topAlbums: topBy('album'),
+        playlists: [
+          ...starts,
+          { $match: { playlistId: { $ne: null } } },
+          { $group: { _id: '$playlistId', plays: { $sum: 1 } } },
+          { $sort: { plays: -1 } },
+          { $lookup: { from: Playlist.collection.name, localField: '_id', foreignField: '_id', as: 'playlist' } },
+          { $unwind: '$playlist' },
+          { $project: { _id: 0, playlist: { _id: '$playlist._id', name: '$playlist.name' }, plays: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = stats.totals[0] || { listeningSeconds: 0, plays: 0, completions: 0, skips: 0 };
+  res.json({
+    from: window.from,
+    to: window.to,
+    totalListeningSeconds: totals.listeningSeconds,
+    plays: totals.plays,
+    completions: totals.completions,
+    skips: totals.skips,
+    topTracks: stats.topTracks,
+    topArtists: stats.topArtists,
+    topAlbums: stats.topAlbums,
+    playlists: stats.playlists
+  });
+});
+
+// GET one playback session
+app.get('/api/v1/playback/:id', async (req, res) => {
+  const playback = await Playback.findOne({ _id: req.params.id, userId: req.user.id }).populate('trackId');
+  if (!playback) throw new NotFoundError('Playback not found');
+  res.json(playback);
+});
+
+// POST start a playback session
+// body: { playlistId } or { queue: [trackId...] } or a single { trackId },
+// plus optional startIndex, shuffle, repeat, position, isPlaying
+app.post('/api/v1/playback', async (req, res) => {
+  const { playlistId, queue, trackId, startIndex = 0, shuffle = false, repeat = 'off', position, isPlaying } = req.body;
+
+  let trackIds;
+  if (playlistId) {
+    const playlist = await findPlaylist(req, 'viewer', { id: playlistId });
+    trackIds = (await playlistEntries(playlist)).map(t => t.trackId._id);
+    if (!trackIds.length) throw new BadRequestError('Playlist has no tracks to play.');
+  } else if (queue !== undefined) {
+    if (!Array.isArray(queue) || !queue.length || !queue.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw new BadRequestError('queue must be a non-empty array of track ids.');
+    }
+    const found = await Track.countDocuments({ _id: { $in: queue }, deletedAt: null });
+    if (found !== new Set(queue.map(String)).size) {
+      throw new NotFoundError('One or more queued tracks do not exist.');
+    }
+    trackIds = queue;
+  } else if (trackId) {
+    if (!(await Track.countDocuments({ _id: trackId, deletedAt: null }))) {
+      throw new NotFoundError('Track not found');
+    }
+    trackIds = [trackId];
+  } else {
+    trackIds = [];
+  }
+
+  if (!playbackEngine.REPEAT_MODES.includes(repeat)) {
+    throw new BadRequestError(`repeat must be one of: ${playbackEngine.REPEAT_MODES.join(', ')}.`);
+  }
+  if (!Number.isInteger(startIndex) || startIndex < 0 || (trackIds.length && startIndex >= trackIds.length)) {
+    throw new BadRequestError('startIndex must be a valid index into the queue.');
+  }
+
+  const playback = new Playback({ userId: req.user.id, playlistId, queue: trackIds });
+  playbackEngine.initSession(playback, { startIndex, shuffle: Boolean(shuffle), repeat });
+  if (position !== undefined) playback.position = position;
+  if (isPlaying !== undefined) playback.isPlaying = isPlaying;
+
+  recordPlayEvent(playback, 'start');
+  await playback.save();
+  await flushPlayEvents(playback);
+  notify(playback.userId, 'playback.created', playback, req);
+  res.status(201).json(playback);
+});
+
+// PUT update playback info (position / isPlaying; use the commands below to change tracks)
+app.put('/api/v1/playback/:id', async (req, res) => {
+  const updates = {};
+  if (req.body.position !== undefined) updates.position = req.body.position;
+  if (req.body.isPlaying !== undefined) updates.isPlaying = req.body.isPlaying;
+  updates.updatedAt = Date.now();
+
+  const playback = await Playback.findOneAndUpdate({ _id: req.params.id, userId: req.user.id }, updates, { new: true, runValidators: true });
+  if (!playback) throw new NotFoundError('Playback not found');
+  notify(playback.userId, 'playback.updated', playback, req);
+  res.json(playback);
+});
+
+// POST play / resume, optionally from a position
+app.post('/api/v1/playback/:id/play', playbackCommand(async (playback, body) => {
+  if (!playback.trackId) throw new BadRequestError('Nothing to play in this session.');
+  if (body.position !== undefined) {
+    await validatePosition(playback, body.position);
+    playback.position = body.position;
+  }
+  playback.isPlaying = true;
+}));
+
+// POST pause, optionally recording the position
+app.post('/api/v1/playback/:id/pause', playbackCommand(async (playback, body) => {
+  if (body.position !== undefined) {
+    await validatePosition(playback, body.position);
+    playback.position = body.position;
+  }
+  playback.isPlaying = false;
+}));
+
+// POST seek within the current track
+app.post('/api/v1/playback/:id/seek', playbackCommand(async (playback, body) => {
+  await validatePosition(playback, body.position);
+  playback.position = body.position;
+}));
+
+// POST skip to the next track ({ ended: true } when the track finished on its own,
+// optional position where the outgoing track was skipped)
+app.post('/api/v1/playback/:id/next', playbackCommand((playback, body) => {
+  const ended = body.ended === true;
+  if (body.position !== undefined && typeof body.position !== 'number') throw new BadRequestError('position must be a number of seconds.');
+  recordPlayEvent(playback, ended ? 'complete' : 'skip', playback.trackId, body.position ?? playback.position);
+
+  if (playbackEngine.next(playback, { ended })) recordPlayEvent(playback, 'start');
+}));
+
+// POST go back to the previous track (restarts the current one if past the first few seconds)
+app.post('/api/v1/playback/:id/previous', playbackCommand(playback => {
+  const outgoing = { trackId: playback.trackId, position: playback.position, startedAt: playback.startedAt };
+  playbackEngine.previous(playback);
+
+  if (playback.startedAt !== outgoing.startedAt) {
+    recordPlayEvent(playback, 'skip', outgoing.trackId, outgoing.position);
+    recordPlayEvent(playback, 'start');
+  }
+}));
+
+// PUT change shuffle and/or repeat mode
+app.put('/api/v1/playback/:id/mode', playbackCommand((playback, body) => {
+  if (body.shuffle !== undefined && typeof body.shuffle !== 'boolean') throw new BadRequestError('shuffle must be a boolean.');
+  if (body.repeat !== undefined && !playbackEngine.REPEAT_MODES.includes(body.repeat)) {
+    throw new BadRequestError(`repeat must be one of: ${playbackEngine.REPEAT_MODES.join(', ')}.`);
+  }
+  if (body.shuffle !== undefined) playbackEngine.setShuffle(playback, body.shuffle);
+  if (body.repeat !== undefined) playback.repeat = body.repeat;
+}));
+
+// GET what plays next (up next queue first, then the rest of the session)
+app.get('/api/v1/playback/:id/queue', async (req, res) => {
+  const playback = await Playback.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!playback) throw new NotFoundError('Playback not found');
+
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+  }
+
+  const ids = playbackEngine.upcoming(playback, limit);
+  const tracks = await Track.find({ _id: { $in: [playback.trackId, ...ids].filter(Boolean) } });
+  const byId = new Map(tracks.map(t => [t._id.toString(), t]));
+
+  res.json({
+    current: playback.trackId ? byId.get(playback.trackId.toString()) ?? null : null,
+    upNext: playback.upNext.slice(0, limit).map(id => byId.get(id.toString()) ?? null),
+    upcoming: ids.map(id => byId.get(id.toString()) ?? null)
+  });
+});
+
+// POST insert a track into up next ({ trackId, playNext: true } to play it right after the current track)
+app.post('/api/v1/playback/:id/queue', playbackCommand(async (playback, body) => {
+  if (!mongoose.Types.ObjectId.isValid(body.trackId)) throw new BadRequestError('A valid trackId is required.');
+  if (!(await Track.exists({ _id: body.trackId, deletedAt: null }))) throw new BadRequestError('The trackId provided does not correspond to a Track document.');
+  playbackEngine.enqueue(playback, body.trackId, { playNext: body.playNext === true });
+}));
+
+// DELETE clear the up next queue
+app.delete('/api/v1/playback/:id/queue', playbackCommand(playback => {
+  playback.upNext = [];
+}));
+
+// DELETE playback record
+app.delete('/api/v1/playback/:id', async (req, res) => {
+  const playback = await Playback.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+  if (!playback) throw new NotFoundError('Playback not found');
+  notify(playback.userId, 'playback.deleted', { _id: playback._id }, req);
+  res.json({ message: 'Playback record deleted' });
+});
+
+// ==============================
+// REAL-TIME EVENTS 📡
+// ==============================
+
+// EventSource can't send headers, so the event stream also takes the token as ?access_token=
+function requireEventStreamAuth(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) req.headers.authorization = `Bearer ${req.query.access_token}`;
+  requireAuth(req, res, next);
+}
+
+// GET a Server-Sent Events stream of the caller's playback and playlist changes. A client
+// reconnecting with Last-Event-ID first gets the events it missed, or a `resync` event
+// when they are no longer known and it should fetch its state again.
+app.get('/api/v1/events', requireEventStreamAuth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_RETRY_DELAY}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = events.since(req.user.id, lastEventId);
+    if (missed) missed.forEach(event => res.write(formatEvent(event)));
+    else res.write('event: resync\ndata: {}\n\n');
+  }
+
+  const unsubscribe = events.subscribe(req.user.id, event => res.write(formatEvent(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_INTERVAL);
+  eventStreams.add(res);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    eventStreams.delete(res);
+  });
+});
+
+// Open event stream responses, ended on shutdown so clients reconnect elsewhere
+const eventStreams = new Set();
+
+// ====== Error Handling ======
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// ====== Graceful Shutdown ======
+// On SIGTERM/SIGINT: report not ready, stop accepting connections, end event streams (their
+// clients reconnect to another instance), give in-flight requests up to SHUTDOWN_TIMEOUT to
+// finish, then close the database connection and exit.
+let purgeTimer;
+
+async function shutdown(server, signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`🛑 ${signal} received, shutting down`);
+  clearInterval(purgeTimer);
+
+  const closed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+  for (const res of eventStreams) res.end();
+  const timeout = setTimeout(() => {
+    console.warn(`⚠️ Requests still running after ${SHUTDOWN_TIMEOUT}ms; closing their connections`);
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT);
+  await closed;
+  clearTimeout(timeout);
+
+  try {
+    await mongoose.connection.close();
+  } catch (err) {
+    console.error('❌ Could not close the MongoDB connection:', err.message);
+  }
+  console.log('👋 Shutdown complete');
+  process.exit(0);
+}
+
+// ====== Connect to MongoDB Atlas ======
+// Exits with status 1 when the server can't start, so a supervisor can restart it
+async function startServer() {
+  try {
+    if(!process.env.MONGODB_URI) {
+        console.error("❌ Error: MONGODB_URI is not defined in environment variables.");
+        process.exit(1);
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB Atlas');
+    
+    if (TRASH_RETENTION_DAYS > 0) {
+      const purge = () => purgeTrash()
+        .then(({ playlists, tracks }) => {
+          if (playlists || tracks) console.log(`🗑️  Purged ${playlists} playlist(s) and ${tracks} track(s) from the trash`);
+        })
+        .catch(err => console.error('❌ Trash purge failed:', err.message));
+      purge();
+      purgeTimer = setInterval(purge, TRASH_PURGE_INTERVAL).unref();
+    }
+
+    const server = app.listen(PORT, () => console.log(`🚀 Server running on http://localhost:${PORT}`));
+    for (const signal of ['SIGTERM', 'SIGINT']) process.once(signal, () => shutdown(server, signal));
   } catch (err) {
     console.error('❌ Failed to connect:', err.message);
+    process.exit(1);
   }
 }
 
@@ -0,0 +1,157 @@
+// ==============================
+// Smart playlist rules
+// Validates rule sets and compiles them into Track queries
+// ==============================
+//
+// A rule set is a group { match: 'all' | 'any', rules: [...] } whose rules are
+// conditions { field, op, value } or nested groups. Fields are Track fields or
+// any `metadata.<key>`. For example "artist is Queen and shorter than 5 minutes":
+//
+//   { match: 'all', rules: [
+//     { field: 'artist', op: 'is', value: 'Queen' },
+//     { field: 'duration', op: 'lt', value: 300 }
+//   ] }
+
+const { RequestValidationError } = require('./errors');
+
+const MAX_DEPTH = 4; // nesting levels of groups
+const MAX_RULES = 50; // conditions per rule set
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Value type of each rule field; metadata keys can hold anything
+const FIELD_TYPES = {
+  title: 'string',
+  artist: 'string',
+  album: 'string',
+  duration: 'number',
+  createdAt: 'date',
+};
+
+const OPERATORS = {
+  string: ['is', 'isNot', 'contains', 'notContains', 'startsWith', 'exists'],
+  number: ['is', 'isNot', 'lt', 'lte', 'gt', 'gte', 'between', 'exists'],
+  date: ['before', 'after', 'between', 'inLast', 'notInLast', 'exists'],
+  any: ['is', 'isNot', 'contains', 'notContains', 'startsWith', 'lt', 'lte', 'gt', 'gte', 'between', 'exists'],
+};
+
+const COMPARISONS = { lt: '$lt', lte: '$lte', gt: '$gt', gte: '$gte', before: '$lt', after: '$gt' };
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function fieldType(field) {
+  if (FIELD_TYPES[field]) return FIELD_TYPES[field];
+  if (/^metadata\.[\w-]+$/.test(field)) return 'any';
+  return null;
+}
+
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Whether `value` suits an operator on a field of `type`; returns an error message or null
+function checkValue(type, op, value) {
+  if (op === 'exists') return typeof value === 'boolean' ? null : 'must be true or false';
+  if (op === 'inLast' || op === 'notInLast') {
+    return Number.isFinite(value) && value > 0 ? null : 'must be a positive number of days';
+  }
+  if (op === 'between') {
+    const valid = Array.isArray(value) && value.length === 2 && value.every(v => checkValue(type, 'is', v) === null);
+    return valid ? null : 'must be a [from, to] pair';
+  }
+  if (['contains', 'notContains', 'startsWith'].includes(op)) {
+    return typeof value === 'string' && value ? null : 'must be a non-empty string';
+  }
+  switch (type) {
+    case 'string': return typeof value === 'string' ? null : 'must be a string';
+    case 'number': return Number.isFinite(value) ? null : 'must be a number';
+    case 'date': return isDate(value) ? null : 'must be a date';
+    default: return ['string', 'number', 'boolean'].includes(typeof value) ? null : 'must be a string, number or boolean';
+  }
+}
+
+// Value as stored: dates on date fields become Date objects
+function toQueryValue(type, value) {
+  return type === 'date' ? new Date(value) : value;
+}
+
+function compileCondition({ field, op, value }, now) {
+  const type = fieldType(field);
+  const caseless = pattern => new RegExp(pattern, 'i');
+
+  switch (op) {
+    case 'exists':
+      return value ? { [field]: { $exists: true, $nin: [null, ''] } } : { $or: [{ [field]: { $exists: false } }, { [field]: { $in: [null, ''] } }] };
+    case 'is':
+      return { [field]: typeof value === 'string' ? caseless(`^${escapeRegex(value)}$`) : toQueryValue(type, value) };
+    case 'isNot':
+      return { [field]: { $not: typeof value === 'string' ? caseless(`^${escapeRegex(value)}$`) : { $eq: toQueryValue(type, value) } } };
+    case 'contains':
+      return { [field]: caseless(escapeRegex(value)) };
+    case 'notContains':
+      return { [field]: { $not: caseless(escapeRegex(value)) } };
+    case 'startsWith':
+      return { [field]: caseless(`^${escapeRegex(value)}`) };
+    case 'between':
+      return { [field]: { $gte: toQueryValue(type, value[0]), $lte: toQueryValue(type, value[1]) } };
+    case 'inLast':
+      return { [field]: { $gte: new Date(now - value * DAY_MS) } };
+    case 'notInLast':
+      return { [field]: { $lt: new Date(now - value * DAY_MS) } };
+    default:
+      return { [field]: { [COMPARISONS[op]]: toQueryValue(type, value) } };
+  }
+}
+
+// Check a rule set, collecting { location, field, message } problems under `path`
+function collectErrors(group, path, depth, counter, errors) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    errors.push({ location: 'body', field: path, message: 'must be a rule group' });
+    return;
+  }
+  if (!['all', 'any'].includes(group.match)) {
+    errors.push({ location: 'body', field: `${path}.match`, message: 'must be one of: all, any' });
+  }
+  if (!Array.isArray(group.rules) || !group.rules.length) {
+    errors.push({ location: 'body', field: `${path}.rules`, message: 'must be a non-empty array' });
+    return;
+  }
+
+  group.rules.forEach((rule, i) => {
+    const rulePath = `${path}.rules.${i}`;
+    if (rule && rule.rules !== undefined) {
+      if (depth >= MAX_DEPTH) errors.push({ location: 'body', field: rulePath, message: `groups can be nested at most ${MAX_DEPTH} levels deep` });
+      else collectErrors(rule, rulePath, depth + 1, counter, errors);
+      return;
+    }
+
+    counter.rules += 1;
+    const type = fieldType(rule?.field);
+    if (!type) {
+      errors.push({ location: 'body', field: `${rulePath}.field`, message: `must be one of: ${Object.keys(FIELD_TYPES).join(', ')} or metadata.<key>` });
+      return;
+    }
+    if (!OPERATORS[type].includes(rule.op)) {
+      errors.push({ location: 'body', field: `${rulePath}.op`, message: `must be one of: ${OPERATORS[type].join(', ')}` });
+      return;
+    }
+    const problem = checkValue(type, rule.op, rule.value);
+    if (problem) errors.push({ location: 'body', field: `${rulePath}.value`, message: problem });
+  });
+}
+
+// Throw a RequestValidationError listing every problem in a rule set
+function validateRules(ruleSet, path = 'smart.rules') {
+  const errors = [];
+  const counter = { rules: 0 };
+  collectErrors(ruleSet, path, 1, counter, errors);
+  if (counter.rules > MAX_RULES) errors.push({ location: 'body', field: path, message: `may contain at most ${MAX_RULES} rules` });
+  if (errors.length) throw new RequestValidationError(errors, 'Invalid smart playlist rules');
+}
+
+// Mongo filter for a (validated) rule set. `now` anchors relative dates such as inLast.
+function compileRules(group, now = Date.now()) {
+  const clauses = group.rules.map(rule => (rule.rules !== undefined ? compileRules(rule, now) : compileCondition(rule, now)));
+  return { [group.match === 'any' ? '$or' : '$and']: clauses };
+}
+
+module.exports = { validateRules, compileRules };
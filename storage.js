@@ -0,0 +1,77 @@
+// ==============================
+// File storage for uploaded media
+// Pluggable backends keyed by paths such as 'audio/<trackId>-<suffix>.mp3'
+// ==============================
+//
+// A backend implements:
+//   put(key, source)          store a readable stream; resolves to { key, size }
+//   get(key, { start, end })  readable stream of the file, or of an inclusive byte range
+//   stat(key)                 { size, modifiedAt }, or null when there is no such file
+//   remove(key)               delete the file; missing files are ignored
+// createStorage picks a backend by driver name; registerDriver adds new ones.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Files under a directory on local disk. Writes go to a temporary file first, so a
+// failed upload never leaves a truncated file behind.
+function localStorage({ root = 'uploads' } = {}) {
+  const base = path.resolve(root);
+  const resolve = key => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    async put(key, source) {
+      const file = resolve(key);
+      const partial = `${file}.${crypto.randomUUID()}.part`;
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await pipeline(source, fs.createWriteStream(partial));
+        await fsp.rename(partial, file);
+      } catch (err) {
+        await fsp.rm(partial, { force: true });
+        throw err;
+      }
+      const { size } = await fsp.stat(file);
+      return { key, size };
+    },
+
+    get(key, range = {}) {
+      return fs.createReadStream(resolve(key), range);
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fsp.stat(resolve(key));
+        return { size: stats.size, modifiedAt: stats.mtime };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+const drivers = { local: localStorage };
+
+function registerDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+function createStorage({ driver = 'local', ...options } = {}) {
+  const factory = drivers[driver];
+  if (!factory) throw new Error(`Unknown storage driver "${driver}"; expected one of: ${Object.keys(drivers).join(', ')}`);
+  return factory(options);
+}
+
+module.exports = { createStorage, registerDriver, localStorage };
@@ -1,12 +1,414 @@
+// Bulk requests send items as a JSON array or as NDJSON (one JSON value per line).
+// Items are checked one by one by the route, so an invalid item only fails itself.
+function bulkBody(itemDescription) {
+  return {
+    required: true,
+    description: `${itemDescription} At most 1000 items.`,
+    content: {
+      'application/json': { schema: { type: 'array', items: {} } },
+      'application/x-ndjson': { schema: { type: 'string', example: '{"title":"Song A"}\\n{"title":"Song B"}' } },
+    },
+  };
+}
+
+const bulkResponses = {
+  200: { description: 'One result per item, in request order', content: { 'application/json': { schema: { $ref: '#/components/schemas/BulkResponse' } } } },
+  400: { description: 'Body is not an array or NDJSON, or has no items' },
+  413: { description: 'More than 1000 items, or body larger than 5 MB' },
+  422: { description: 'With atomic=true: an item failed and nothing was changed; `results` lists the failures', content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } } },
+  501: { description: 'With atomic=true: the database does not support transactions (code TRANSACTIONS_UNAVAILABLE); nothing was changed' },
+};
+
 const swaggerDefinition = {
   openapi: '3.0.0',
   info: {
     title: 'Music Playlist CRUD API',
     version: '1.0.0',
-    description: 'API documentation for managing music playlists, tracks, and playback state.',
+    description: 'API documentation for managing music playlists, tracks, and playback state.\n\n' +
+      'Errors are returned as `application/problem+json` (see the Problem schema) with a stable `code`. ' +
+      'Every response carries an `X-Request-Id` header; send your own to correlate requests with server logs.\n\n' +
+      'Changes to playback sessions and playlists are pushed to `GET /api/v1/events`. Send an `X-Client-Id` header with writes ' +
+      'and the events they cause carry it, so a client can recognise its own changes.\n\n' +
+      'Scripts and integrations can authenticate with an API key (`X-API-Key` header) instead of a login token. ' +
+      'Requests are rate limited per API key (per minute and per day), or per IP address without one; every response ' +
+      'carries `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and `RateLimit-Policy` headers, and a `429` ' +
+      'response says how many seconds to wait in `Retry-After`.',
   },
   components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'An API key from POST /api/v1/api-keys' },
+    },
+    parameters: {
+      page: { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 }, description: 'Page number (1-based)' },
+      limit: { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }, description: 'Items per page' },
+      createdFrom: { in: 'query', name: 'createdFrom', schema: { type: 'string', format: 'date-time' }, description: 'Only items created at or after this date' },
+      playbackId: { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true, description: 'Playback Record ID' },
+      ifMatch: { in: 'header', name: 'If-Match', schema: { type: 'string', example: '"v3"' }, description: 'Only apply the change if the resource still has this ETag (412 otherwise)' },
+      ifNoneMatch: { in: 'header', name: 'If-None-Match', schema: { type: 'string', example: '"v3"' }, description: 'Answer 304 Not Modified if the resource still has this ETag' },
+      bulkAtomic: { in: 'query', name: 'atomic', schema: { type: 'boolean', default: false }, description: 'Apply every item or none: any failing item rolls the whole request back (422)' },
+      createdTo: { in: 'query', name: 'createdTo', schema: { type: 'string', format: 'date-time' }, description: 'Only items created at or before this date' },
+    },
     schemas: {
+      ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '60d0fe4f5311236168a109ca' },
+      TrackInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title'],
+        properties: {
+          title: { type: 'string', minLength: 1, example: 'Bohemian Rhapsody' },
+          artist: { type: 'string', example: 'Queen' },
+          album: { type: 'string', example: 'A Night at the Opera' },
+          duration: { type: 'number', minimum: 0, example: 354, description: 'Length in seconds' },
+          metadata: { type: 'object', example: { genre: 'Rock' }, description: 'Free-form extra tags' },
+        },
+      },
+      TrackUpdate: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          artist: { type: 'string' },
+          album: { type: 'string' },
+          duration: { type: 'number', minimum: 0 },
+          metadata: { type: 'object' },
+        },
+      },
+      BulkResult: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', description: 'Position of the item in the request' },
+          status: { type: 'integer', description: 'HTTP status the item would have had as a single request', example: 201 },
+          id: { type: 'string', description: 'ID of the affected track' },
+          error: {
+            type: 'object',
+            description: 'Why the item failed',
+            properties: { code: { type: 'string', example: 'VALIDATION_FAILED' }, message: { type: 'string' }, errors: { type: 'array', items: { type: 'object' } } },
+          },
+        },
+      },
+      TrackMergeInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['trackIds'],
+        properties: {
+          trackIds: { type: 'array', minItems: 2, maxItems: 100, items: { $ref: '#/components/schemas/ObjectId' }, description: 'The tracks to merge, canonical one included' },
+          canonicalId: { $ref: '#/components/schemas/ObjectId', description: 'The track to keep (defaults to the one with audio, then the most details, then the oldest)' },
+        },
+      },
+      DuplicateGroup: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', example: 'dont stop me now', description: 'Normalized title the tracks share' },
+          artist: { type: 'string', example: 'queen' },
+          album: { type: 'string', example: 'jazz', description: 'Absent with ignoreAlbum=true' },
+          canonicalId: { type: 'string', description: 'The track a merge would keep by default' },
+          tracks: { type: 'array', items: { $ref: '#/components/schemas/Track' } },
+        },
+      },
+      BulkResponse: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          succeeded: { type: 'integer' },
+          failed: { type: 'integer' },
+          results: { type: 'array', items: { $ref: '#/components/schemas/BulkResult' } },
+        },
+      },
+      PlaylistInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, example: 'Road Trip Mix' },
+          description: { type: 'string', example: 'Songs for the drive' },
+          allowDuplicates: { type: 'boolean', default: false },
+          type: { type: 'string', enum: ['manual', 'smart'], default: 'manual' },
+          smart: { $ref: '#/components/schemas/SmartDefinition' },
+          visibility: { $ref: '#/components/schemas/Visibility' },
+        },
+      },
+      PlaylistUpdate: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          allowDuplicates: { type: 'boolean' },
+          smart: { $ref: '#/components/schemas/SmartDefinitionUpdate' },
+          visibility: { $ref: '#/components/schemas/Visibility', description: 'Only the owner may change it' },
+        },
+      },
+      Visibility: {
+        type: 'string',
+        enum: ['private', 'unlisted', 'public'],
+        default: 'private',
+        description: 'private: owner and collaborators only; unlisted: anyone signed in who has its id can view it; public: also listed with scope=public',
+      },
+      CollaboratorInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['role'],
+        properties: {
+          role: { type: 'string', enum: ['viewer', 'editor'], description: 'viewers can read and play the playlist; editors can also change it' },
+        },
+      },
+      Collaborator: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'object',
+            properties: { _id: { type: 'string' }, username: { type: 'string', example: 'alice' } },
+          },
+          role: { type: 'string', enum: ['viewer', 'editor'] },
+          addedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ApiKeyInput: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100, example: 'Home server sync' },
+          expiresAt: { type: 'string', format: 'date-time', description: 'The key stops working after this date (never by default)' },
+        },
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string', example: 'Home server sync' },
+          prefix: { type: 'string', example: 'mpk_Xk3v9Q', description: 'Start of the key' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lastUsedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Updated at most once a minute' },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          revokedAt: { type: 'string', format: 'date-time', nullable: true },
+        },
+      },
+      ShareLinkInput: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          label: { type: 'string', example: 'Party guests' },
+          expiresAt: { type: 'string', format: 'date-time', description: 'The link stops working after this date (never by default)' },
+        },
+      },
+      ShareLink: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          playlistId: { type: 'string' },
+          createdBy: { type: 'string' },
+          label: { type: 'string' },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ForkInput: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, description: 'Name of the copy (defaults to the original name plus "(copy)")' },
+        },
+      },
+      SmartDefinition: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['rules'],
+        description: 'Rules, size and order of a smart playlist (required when type is smart)',
+        properties: {
+          rules: { $ref: '#/components/schemas/SmartRuleGroup' },
+          limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100, description: 'Maximum number of tracks' },
+          sort: { type: 'string', default: '-createdAt', example: '-createdAt', description: 'Comma-separated track fields (title, artist, album, duration, createdAt); prefix with - for descending' },
+        },
+      },
+      SmartDefinitionUpdate: {
+        type: 'object',
+        additionalProperties: false,
+        description: 'Changes to a smart playlist definition; omitted properties are kept',
+        properties: {
+          rules: { $ref: '#/components/schemas/SmartRuleGroup' },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          sort: { type: 'string' },
+        },
+      },
+      SmartRuleGroup: {
+        type: 'object',
+        required: ['match', 'rules'],
+        description: 'Conditions combined with AND (match=all) or OR (match=any). Groups nest up to 4 levels; at most 50 conditions in total.',
+        properties: {
+          match: { type: 'string', enum: ['all', 'any'] },
+          rules: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'object', description: 'A SmartCondition or a nested SmartRuleGroup' },
+          },
+        },
+        example: {
+          match: 'all',
+          rules: [
+            { field: 'artist', op: 'is', value: 'Queen' },
+            { match: 'any', rules: [{ field: 'duration', op: 'lt', value: 300 }, { field: 'createdAt', op: 'inLast', value: 30 }] },
+          ],
+        },
+      },
+      SmartCondition: {
+        type: 'object',
+        required: ['field', 'op'],
+        description: [
+          'title, artist, album: is, isNot, contains, notContains, startsWith, exists.',
+          'duration: is, isNot, lt, lte, gt, gte, between, exists.',
+          'createdAt: before, after, between, inLast, notInLast (value in days), exists.',
+          'metadata.<key>: any of the string and number operators.',
+          'Text comparisons ignore case; between takes [from, to]; exists takes true or false.',
+        ].join(' '),
+        properties: {
+          field: { type: 'string', example: 'metadata.genre' },
+          op: { type: 'string', example: 'contains' },
+          value: { example: 'rock' },
+        },
+      },
+      Problem: {
+        type: 'object',
+        description: 'RFC 7807 problem details, sent as application/problem+json for every error response',
+        properties: {
+          type: { type: 'string', example: '/problems/not-found' },
+          title: { type: 'string', example: 'Not Found' },
+          status: { type: 'integer', example: 404 },
+          detail: { type: 'string', example: 'Playlist not found' },
+          code: { type: 'string', example: 'NOT_FOUND', description: 'Stable machine-readable error code' },
+          instance: { type: 'string', example: '/api/v1/playlists/60d0fe4f5311236168a109ca' },
+          requestId: { type: 'string', example: '0b8f3c2e-6a51-4c1e-9d1a-3f0e2c9a7b14', description: 'Same value as the X-Request-Id response header' },
+        },
+      },
+      ValidationProblem: {
+        allOf: [
+          { $ref: '#/components/schemas/Problem' },
+          {
+            type: 'object',
+            properties: {
+              errors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    location: { type: 'string', enum: ['path', 'query', 'body'] },
+                    field: { type: 'string', example: 'title' },
+                    message: { type: 'string', example: 'is required' },
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      User: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '60d0fe4f5311236168a109c9' },
+          username: { type: 'string', example: 'freddie' },
+          email: { type: 'string', example: 'freddie@example.com' },
+        },
+      },
+      PageInfo: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer', example: 1 },
+          limit: { type: 'integer', example: 20 },
+          total: { type: 'integer', example: 137 },
+          totalPages: { type: 'integer', example: 7 },
+        },
+      },
+      TrackPage: {
+        allOf: [
+          { type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/Track' } } } },
+          { $ref: '#/components/schemas/PageInfo' },
+        ],
+      },
+      SearchResult: {
+        allOf: [
+          { $ref: '#/components/schemas/Track' },
+          { type: 'object', properties: { score: { type: 'number', example: 14.5, description: 'Relevance score (higher is better)' } } },
+        ],
+      },
+      PlaylistPage: {
+        allOf: [
+          { type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/Playlist' } } } },
+          { $ref: '#/components/schemas/PageInfo' },
+        ],
+      },
+      PlaylistRevision: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          playlistId: { type: 'string', example: '60d0fe4f5311236168a109cb' },
+          revision: { type: 'integer', example: 3 },
+          userId: { type: 'object', properties: { _id: { type: 'string' }, username: { type: 'string' } }, description: 'Who made the edit (absent for system changes such as a deleted track)' },
+          action: { type: 'string', example: 'move', description: 'create, import, fork, update, add, bulk-add, auto-extend, reorder, move, update-entry, remove, revert, merge or track-deleted' },
+          revertedTo: { type: 'integer', description: 'For reverts, the revision that was restored' },
+          changes: {
+            type: 'object',
+            description: 'Changed fields as { from, to }, and under `entries` the entries added, removed, moved (from/to order) or updated',
+            example: { name: { from: 'Road Trip', to: 'Road Trip Mix' }, entries: { added: [], removed: [], moved: [{ _id: '60d0fe4f5311236168a109cc', trackId: '60d0fe4f5311236168a109ca', from: 1, to: 4 }], updated: [] } },
+          },
+          snapshot: {
+            type: 'object',
+            description: 'The playlist as it was after this revision (only when fetching a single revision)',
+            properties: {
+              name: { type: 'string' },
+              description: { type: 'string' },
+              allowDuplicates: { type: 'boolean' },
+              tracks: { type: 'array', items: { type: 'object', properties: { _id: { type: 'string' }, trackId: { $ref: '#/components/schemas/Track' }, order: { type: 'integer' }, addedAt: { type: 'string', format: 'date-time' } } } },
+            },
+          },
+          at: { type: 'string', format: 'date-time' },
+        },
+      },
+      PlaylistRevisionPage: {
+        allOf: [
+          { type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/PlaylistRevision' } } } },
+          { $ref: '#/components/schemas/PageInfo' },
+        ],
+      },
+      Playback: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '60d0fe4f5311236168a109cd' },
+          trackId: { $ref: '#/components/schemas/Track' },
+          position: { type: 'number', example: 42, description: 'Position in the current track, in seconds' },
+          isPlaying: { type: 'boolean', example: true },
+          playlistId: { type: 'string', example: '60d0fe4f5311236168a109cb', description: 'Playlist the session was started from' },
+          queue: { type: 'array', items: { type: 'string' }, description: 'Track ids of the session' },
+          order: { type: 'array', items: { type: 'integer' }, description: 'Play order as indexes into queue' },
+          currentIndex: { type: 'integer', example: 0, description: 'Index into order of the current track' },
+          upNext: { type: 'array', items: { type: 'string' }, description: 'Inserted track ids that play before the rest of the queue' },
+          shuffle: { type: 'boolean', example: false },
+          repeat: { type: 'string', enum: ['off', 'one', 'all'], example: 'off' },
+          startedAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          endedAt: { type: 'string', format: 'date-time', description: 'Set when the session was closed because its current track was deleted' },
+        },
+      },
+      PlayEvent: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          trackId: { $ref: '#/components/schemas/Track' },
+          playbackId: { type: 'string' },
+          playlistId: { type: 'string' },
+          type: { type: 'string', enum: ['start', 'complete', 'skip'] },
+          position: { type: 'number', description: 'Position in the track when the event happened (seconds)' },
+          listenedSeconds: { type: 'number' },
+          at: { type: 'string', format: 'date-time' },
+        },
+      },
+      AuthResponse: {
+        type: 'object',
+        properties: {
+          token: { type: 'string', example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' },
+          user: { $ref: '#/components/schemas/User' },
+        },
+      },
       Track: {
         type: 'object',
         properties: {
@@ -14,181 +416,1438 @@ const swaggerDefinition = {
           title: { type: 'string', example: 'Bohemian Rhapsody' },
           artist: { type: 'string', example: 'Queen' },
           album: { type: 'string', example: 'A Night at the Opera' },
-          duration: { type: 'integer', example: 354 },
+          duration: { type: 'number', example: 354 },
+          metadata: { type: 'object', example: { genre: 'Rock' } },
+          file: { $ref: '#/components/schemas/StoredFile', description: 'Uploaded audio file, if any' },
+          coverArt: { $ref: '#/components/schemas/StoredFile', description: 'Cover art taken from the uploaded audio file' },
+          createdAt: { type: 'string', format: 'date-time' },
+          deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while the track is in the trash' },
+        },
+      },
+      StoredFile: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', example: 'audio/60d0fe4f5311236168a109ca-3f9c2a1be07d.mp3', description: 'Where the file is kept in media storage' },
+          mimeType: { type: 'string', example: 'audio/mpeg' },
+          size: { type: 'integer', description: 'Bytes' },
+          originalName: { type: 'string', example: 'bohemian-rhapsody.mp3' },
+          linked: { type: 'boolean', description: 'An existing file in the media directory rather than an upload' },
+          codec: { type: 'string', example: 'MPEG 1 Layer 3' },
+          bitrate: { type: 'integer', example: 320000, description: 'Bits per second' },
+          sampleRate: { type: 'integer', example: 44100 },
+          channels: { type: 'integer', example: 2 },
+          uploadedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      Playlist: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '60d0fe4f5311236168a109cb' },
+          userId: { type: 'string', example: '60d0fe4f5311236168a109c9' },
+          name: { type: 'string', example: 'Road Trip Mix' },
+          description: { type: 'string', example: 'Songs for the drive' },
+          allowDuplicates: { type: 'boolean', example: false, description: 'Whether the same track may appear more than once' },
+          tracks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string', example: '60d0fe4f5311236168a109cc', description: 'Stable entry id' },
+                trackId: { type: 'string', example: '60d0fe4f5311236168a109ca' },
+                order: { type: 'integer', example: 1 },
+                addedAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time', description: 'Last time the entry was moved or edited' },
+              },
+            },
+          },
+          deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while the playlist is in the trash' },
+          type: { type: 'string', enum: ['manual', 'smart'], example: 'manual' },
+          smart: { $ref: '#/components/schemas/SmartDefinition' },
+          revision: { type: 'integer', example: 3, description: 'Number of the latest revision' },
+          visibility: { $ref: '#/components/schemas/Visibility' },
+          collaborators: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                userId: { type: 'string' },
+                role: { type: 'string', enum: ['viewer', 'editor'] },
+                addedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          },
+          forkedFrom: {
+            type: 'object',
+            description: 'The playlist (and its revision) this one was copied from',
+            properties: { playlistId: { type: 'string' }, revision: { type: 'integer' } },
+          },
+          stats: { $ref: '#/components/schemas/PlaylistStats', description: 'Included when a single playlist is fetched' },
+        },
+      },
+      PlaylistStats: {
+        type: 'object',
+        description: 'Derived from the playlist\'s entries and their tracks. Breakdowns are sorted by count, largest first, and hold at most 50 items.',
+        properties: {
+          trackCount: { type: 'integer', example: 42, description: 'Entries, counting repeated tracks each time' },
+          uniqueTrackCount: { type: 'integer', example: 40 },
+          totalDuration: { type: 'number', example: 10234, description: 'Seconds, of the tracks with a known duration' },
+          unknownDurationCount: { type: 'integer', example: 1, description: 'Entries whose track has no duration' },
+          artists: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', nullable: true, example: 'Queen' },
+                count: { type: 'integer', example: 7 },
+                duration: { type: 'number', example: 1714 },
+              },
+            },
+          },
+          albums: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', nullable: true, example: 'A Night at the Opera' },
+                artist: { type: 'string', nullable: true, example: 'Queen' },
+                count: { type: 'integer', example: 3 },
+                duration: { type: 'number', example: 892 },
+              },
+            },
+          },
+          genres: {
+            type: 'array',
+            description: 'From `metadata.genre`; comma-separated genres count separately and case is ignored',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', example: 'Rock' },
+                count: { type: 'integer', example: 18 },
+                share: { type: 'number', example: 0.429, description: 'Fraction of the entries with this genre' },
+              },
+            },
+          },
+          lastModifiedEntry: {
+            type: 'object',
+            nullable: true,
+            description: 'The entry added, moved or edited most recently (always null for smart playlists)',
+            properties: {
+              _id: { type: 'string' },
+              trackId: { type: 'string' },
+              title: { type: 'string' },
+              order: { type: 'integer' },
+              addedAt: { type: 'string', format: 'date-time' },
+              updatedAt: { type: 'string', format: 'date-time' },
+            },
+          },
+          computedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  },
+  paths: {
+    // --- OPERATIONS ---
+    '/health': {
+      get: {
+        summary: 'Liveness check',
+        description: 'Answers 200 while the process is running, with the state of its database connection.',
+        tags: ['Operations'],
+        responses: {
+          200: {
+            description: 'The process is up',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'string', example: 'ok' },
+                    database: { type: 'string', enum: ['disconnected', 'connected', 'connecting', 'disconnecting', 'unknown'] },
+                    uptime: { type: 'integer', description: 'Seconds since the process started' },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness check',
+        description: 'Answers 200 when the instance can serve requests: the database is connected and it is not shutting down.',
+        tags: ['Operations'],
+        responses: {
+          200: { description: 'Ready (`status: ready`)' },
+          503: { description: 'Not ready: `status` is `unavailable` (no database connection) or `shutting-down`' },
+        },
+      },
+    },
+    '/metrics': {
+      get: {
+        summary: 'Prometheus metrics',
+        description: 'Request latency by method, route and status, MongoDB operation timings and failures by model and operation, requests in flight, open event streams, database connection state and process memory. When the server has METRICS_TOKEN set, send it as a bearer token.',
+        tags: ['Operations'],
+        responses: {
+          200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+          401: { description: 'Missing or wrong metrics token' },
+        },
+      },
+    },
+
+    // --- AUTH ---
+    '/api/v1/auth/register': {
+      post: {
+        summary: 'Register a new user',
+        tags: ['Auth'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['username', 'email', 'password'],
+                properties: {
+                  username: { type: 'string', minLength: 1 },
+                  email: { type: 'string', format: 'email' },
+                  password: { type: 'string', minLength: 8 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'User registered', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthResponse' } } } },
+          400: { description: 'Invalid registration details' },
+          409: { description: 'Username or email already registered' },
+        },
+      },
+    },
+    '/api/v1/auth/login': {
+      post: {
+        summary: 'Log in and receive a bearer token',
+        tags: ['Auth'],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', additionalProperties: false, required: ['email', 'password'], properties: { email: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } } } } },
+        },
+        responses: {
+          200: { description: 'Logged in', content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthResponse' } } } },
+          401: { description: 'Invalid email or password' },
+        },
+      },
+    },
+    '/api/v1/auth/me': {
+      get: {
+        summary: 'Get the current user',
+        tags: ['Auth'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'Current user', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+          401: { description: 'Missing or invalid token' },
+        },
+      },
+    },
+
+    // --- API KEYS ---
+    '/api/v1/api-keys': {
+      get: {
+        summary: 'List your API keys',
+        description: 'Newest first, revoked ones included. The keys themselves are only returned when created.',
+        tags: ['API Keys'],
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: { description: 'API keys', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/ApiKey' } } } } },
+          403: { description: 'API keys cannot manage API keys' },
+        },
+      },
+      post: {
+        summary: 'Create an API key',
+        description: 'The key acts as you, with its own rate limit and daily quota. It is only returned in this response; store it safely.',
+        tags: ['API Keys'],
+        security: [{ bearerAuth: [] }],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiKeyInput' } } } },
+        responses: {
+          201: {
+            description: 'The new key',
+            content: {
+              'application/json': {
+                schema: { allOf: [{ $ref: '#/components/schemas/ApiKey' }, { type: 'object', properties: { key: { type: 'string', example: 'mpk_Xk3v9Q...' } } }] },
+              },
+            },
+          },
+          400: { description: 'expiresAt is in the past' },
+          403: { description: 'API keys cannot manage API keys' },
+          409: { description: 'Too many active keys; revoke one first' },
+        },
+      },
+    },
+    '/api/v1/api-keys/{id}': {
+      delete: {
+        summary: 'Revoke an API key',
+        tags: ['API Keys'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'API key revoked' },
+          403: { description: 'API keys cannot manage API keys' },
+          404: { description: 'API key not found' },
+        },
+      },
+    },
+
+    // --- TRACKS ---
+    '/api/v1/tracks': {
+      get: {
+        summary: 'Retrieve tracks (paginated)',
+        tags: ['Tracks'],
+        parameters: [
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'sort', schema: { type: 'string', example: '-duration,title' }, description: 'Comma-separated fields (title, artist, album, duration, createdAt); prefix with - for descending. Defaults to -createdAt' },
+          { in: 'query', name: 'artist', schema: { type: 'string' }, description: 'Exact artist (case-insensitive)' },
+          { in: 'query', name: 'album', schema: { type: 'string' }, description: 'Exact album (case-insensitive)' },
+          { in: 'query', name: 'minDuration', schema: { type: 'number' }, description: 'Minimum duration in seconds' },
+          { in: 'query', name: 'maxDuration', schema: { type: 'number' }, description: 'Maximum duration in seconds' },
+          { $ref: '#/components/parameters/createdFrom' },
+          { $ref: '#/components/parameters/createdTo' },
+        ],
+        responses: {
+          200: { description: 'A page of tracks', content: { 'application/json': { schema: { $ref: '#/components/schemas/TrackPage' } } } },
+          400: { description: 'Invalid pagination, sort or filter parameters' },
+        },
+      },
+      post: {
+        summary: 'Create a new track',
+        tags: ['Tracks'],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/TrackInput' } } },
+        },
+        responses: {
+          201: { description: 'Track created' },
+        },
+      },
+    },
+    '/api/v1/tracks/bulk': {
+      post: {
+        summary: 'Create many tracks',
+        description: 'Each item is created on its own unless `atomic=true`. Failed items are reported in `results` with the error they would have produced as a single request.',
+        tags: ['Tracks'],
+        parameters: [{ $ref: '#/components/parameters/bulkAtomic' }],
+        requestBody: bulkBody('Track details as for POST /api/v1/tracks.'),
+        responses: bulkResponses,
+      },
+      put: {
+        summary: 'Update many tracks',
+        tags: ['Tracks'],
+        parameters: [{ $ref: '#/components/parameters/bulkAtomic' }],
+        requestBody: bulkBody('Each item is `{ _id, ...fields }` with the fields to change, as for PUT /api/v1/tracks/{id}.'),
+        responses: bulkResponses,
+      },
+      delete: {
+        summary: 'Delete many tracks',
+        description: '`mode` works as for deleting a single track; `block` and `cascade` require authentication.',
+        tags: ['Tracks'],
+        parameters: [
+          { in: 'query', name: 'mode', schema: { type: 'string', enum: ['soft', 'block', 'cascade'], default: 'soft' }, description: 'What to do with references to the tracks' },
+          { $ref: '#/components/parameters/bulkAtomic' },
+        ],
+        requestBody: bulkBody('Track ids, or `{ _id }` objects.'),
+        responses: { ...bulkResponses, 401: { description: 'mode=block or mode=cascade without a valid token' } },
+      },
+    },
+    '/api/v1/tracks/duplicates': {
+      get: {
+        summary: 'Find likely duplicate tracks',
+        description: 'Groups tracks whose title, artist and album match once case, accents, punctuation and "Remastered" suffixes are ignored, and whose durations are within the tolerance. Tracks without a duration join the first group of their title. Largest groups come first. At most 50,000 tracks (the oldest) are compared; `truncated` says when the library is larger.',
+        tags: ['Tracks'],
+        parameters: [
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'durationTolerance', schema: { type: 'number', minimum: 0, maximum: 600, default: 2 }, description: 'Largest difference in duration, in seconds' },
+          { in: 'query', name: 'ignoreAlbum', schema: { type: 'boolean', default: false }, description: 'Also match tracks from different albums' },
+        ],
+        responses: {
+          200: {
+            description: 'A page of duplicate groups',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    data: { type: 'array', items: { $ref: '#/components/schemas/DuplicateGroup' } },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    total: { type: 'integer' },
+                    totalPages: { type: 'integer' },
+                    truncated: { type: 'boolean', description: 'The library has more tracks than were compared' },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/tracks/merge': {
+      post: {
+        summary: 'Merge duplicate tracks into one',
+        description: 'The canonical track keeps its details and gains the ones it lacks from the others: artist, album, duration, `metadata` keys, and audio and cover art if it has none. Playlist entries, playback sessions and play history are moved to it (playlists that do not allow duplicates keep only the first entry), then the other tracks are deleted permanently. Trashed tracks may be merged but cannot be the canonical one. If-Match applies to the canonical track.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/TrackMergeInput' } } } },
+        responses: {
+          200: {
+            description: 'The merged track',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    track: { $ref: '#/components/schemas/Track' },
+                    merged: { type: 'array', items: { type: 'string' }, description: 'Ids of the deleted duplicates' },
+                    playlistsUpdated: { type: 'integer' },
+                    playbackSessionsUpdated: { type: 'integer' },
+                    playEventsUpdated: { type: 'integer' },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Fewer than two tracks, or an unusable canonicalId' },
+          401: { description: 'Missing or invalid token' },
+          404: { description: 'A track was not found' },
+        },
+      },
+    },
+    '/api/v1/tracks/upload': {
+      post: {
+        summary: 'Upload an audio file as a new track',
+        description: 'Accepts MP3, FLAC, Ogg and M4A files. Title, artist, album, duration and `metadata` (genre, year, track and disc numbers, composer...) are read from the ID3, Vorbis or iTunes tags, and embedded cover art is kept. The file name stands in for a missing title.',
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary' },
+                  title: { type: 'string', description: 'Overrides the title tag' },
+                  artist: { type: 'string', description: 'Overrides the artist tag' },
+                  album: { type: 'string', description: 'Overrides the album tag' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Track created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Track' } } } },
+          400: { description: 'No file, or unknown form fields' },
+          401: { description: 'Missing or invalid token' },
+          413: { description: 'File larger than the upload limit (UPLOAD_MAX_MB, 200 MB by default)' },
+          415: { description: 'Not an MP3, FLAC, Ogg or M4A audio file' },
+        },
+      },
+    },
+    '/api/v1/tracks/{id}': {
+      get: {
+        summary: 'Get a track by ID',
+        tags: ['Tracks'],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'Track details', content: { 'application/json': { schema: { $ref: '#/components/schemas/Track' } } } },
+          404: { description: 'Track not found' },
+        },
+      },
+      put: {
+        summary: 'Update a track',
+        tags: ['Tracks'],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/TrackUpdate' } } } },
+        responses: { 200: { description: 'Track updated' } },
+      },
+      delete: {
+        summary: 'Delete a track',
+        description: 'By default the track moves to the trash: it disappears from the catalog but playlists keep resolving it until it is restored or purged (purging removes it from playlists). `mode=block` deletes it for good unless a playlist or playback session still uses it. `mode=cascade` deletes it for good after removing it from every playlist and playback session (sessions playing it are closed). Both permanent modes require authentication.',
+        tags: ['Tracks'],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'query', name: 'mode', schema: { type: 'string', enum: ['soft', 'block', 'cascade'], default: 'soft' }, description: 'What to do with references to the track' },
+        ],
+        responses: {
+          200: { description: 'Track moved to trash (with `purgeAt`) or permanently deleted (with how many playlists and playback sessions were updated)' },
+          401: { description: 'mode=block or mode=cascade without a valid token' },
+          404: { description: 'Track not found' },
+          409: { description: 'Track is still referenced (mode=block); the problem lists the referencing `playlists` and the number of `playbackSessions`' },
+        },
+      },
+    },
+
+    '/api/v1/tracks/{id}/file': {
+      put: {
+        summary: "Replace a track's audio file",
+        description: "Upload a file (multipart), or link one already in the media directory (MEDIA_ROOT) by sending `{ path }` as JSON; linked files stay where they are and are never removed by the API. The new file's duration replaces the track's; its other tags only fill in details the track doesn't have. Cover art is replaced by the new file's (or removed if it has none).",
+        tags: ['Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['path'],
+                properties: { path: { type: 'string', minLength: 1, example: 'Queen/Bohemian Rhapsody.mp3', description: 'Relative to the media directory (not under audio/ or covers/, which hold uploads)' } },
+              },
+            },
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary' },
+                  title: { type: 'string' },
+                  artist: { type: 'string' },
+                  album: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Track updated', content: { 'application/json': { schema: { $ref: '#/components/schemas/Track' } } } },
+          400: { description: 'Invalid path' },
+          401: { description: 'Missing or invalid token' },
+          404: { description: 'Track not found, or no file at the linked path' },
+          413: { description: 'File larger than the upload limit' },
+          415: { description: 'Not an MP3, FLAC, Ogg or M4A audio file' },
+        },
+      },
+    },
+    '/api/v1/tracks/{id}/cover': {
+      get: {
+        summary: "Get a track's cover art",
+        tags: ['Tracks'],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'The image', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } },
+          404: { description: 'Track not found or has no cover art' },
+        },
+      },
+    },
+    '/api/v1/tracks/{id}/stream': {
+      get: {
+        summary: "Stream a track's audio",
+        description: 'Serves the audio file with its content type, `Accept-Ranges: bytes` and caching validators (ETag, Last-Modified). A single `Range` gets 206 Partial Content; `If-Range` is honoured. With `playbackId` (requires authentication) the playback session, which must be playing this track, has its position moved along as the file is served, estimated from the share of bytes sent.',
+        tags: ['Tracks'],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'query', name: 'playbackId', schema: { $ref: '#/components/schemas/ObjectId' }, description: 'Your playback session to keep in step' },
+          { in: 'header', name: 'Range', schema: { type: 'string', example: 'bytes=0-1048575' } },
+          { $ref: '#/components/parameters/ifNoneMatch' },
+        ],
+        responses: {
+          200: { description: 'The whole file', content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } } },
+          206: { description: 'The requested byte range (see Content-Range)', content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } } },
+          304: { description: 'Not modified' },
+          401: { description: 'playbackId given without a valid token' },
+          404: { description: 'Track, audio file or playback session not found' },
+          409: { description: 'The playback session is playing another track (TRACK_NOT_CURRENT)' },
+          416: { description: 'Range outside the file' },
+        },
+      },
+    },
+
+    // --- SEARCH ---
+    '/api/v1/search': {
+      get: {
+        summary: 'Search tracks',
+        description: 'Full-text search over title, artist, album and metadata genre/composer/tags. Matches word prefixes and tolerates one typo per term (4+ characters). Results are ranked by relevance. Passing `playlistId` requires authentication and limits results to that playlist.',
+        tags: ['Search'],
+        parameters: [
+          { in: 'query', name: 'q', schema: { type: 'string', minLength: 1, example: 'bohemian rhaps' }, required: true, description: 'Search text' },
+          { in: 'query', name: 'playlistId', schema: { $ref: '#/components/schemas/ObjectId' }, description: 'Only search tracks in this playlist (must be yours)' },
+          { $ref: '#/components/parameters/limit' },
+        ],
+        responses: {
+          200: {
+            description: 'Ranked matches',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    query: { type: 'string' },
+                    total: { type: 'integer' },
+                    data: { type: 'array', items: { $ref: '#/components/schemas/SearchResult' } },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Missing query or invalid parameters' },
+          401: { description: 'playlistId given without a valid token' },
+          404: { description: 'Playlist not found' },
+        },
+      },
+    },
+
+    // --- PLAYLISTS ---
+    '/api/v1/playlists': {
+      get: {
+        summary: 'Retrieve your playlists (paginated)',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'scope', schema: { type: 'string', enum: ['own', 'shared', 'public'], default: 'own' }, description: 'own: your playlists; shared: playlists you collaborate on; public: everyone\'s public playlists' },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'sort', schema: { type: 'string', example: 'name' }, description: 'Comma-separated fields (name, createdAt, updatedAt); prefix with - for descending. Defaults to -updatedAt' },
+          { in: 'query', name: 'name', schema: { type: 'string' }, description: 'Case-insensitive substring match on name' },
+          { $ref: '#/components/parameters/createdFrom' },
+          { $ref: '#/components/parameters/createdTo' },
+          { in: 'query', name: 'populate', schema: { type: 'boolean', default: false }, description: 'Expand track details for each entry' },
+        ],
+        responses: {
+          200: { description: 'A page of playlists', content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistPage' } } } },
+          400: { description: 'Invalid pagination, sort or filter parameters' },
+        },
+      },
+      post: {
+        summary: 'Create a playlist',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistInput' } } },
+        },
+        responses: { 201: { description: 'Playlist created' } },
+      },
+    },
+    '/api/v1/playlists/{id}': {
+      get: {
+        summary: 'Get a playlist by ID',
+        description: 'Smart playlists are evaluated on every request, so their `tracks` reflect the library right now (and the response has no version ETag). `stats` sums up the tracks, as from GET /api/v1/playlists/{id}/stats.',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'Playlist found', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
+        },
+      },
+      put: {
+        summary: 'Update playlist details',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistUpdate' } } } },
+        responses: {
+          200: { description: 'Playlist updated' },
+          403: { description: 'Needs editor access (owner access to change visibility)' },
+          409: { description: 'allowDuplicates cannot be disabled while the playlist repeats tracks' },
+        },
+      },
+      delete: {
+        summary: 'Delete a playlist',
+        description: 'Moves the playlist to the trash, where it can be restored until it is purged. `permanent=true` deletes it immediately.',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'query', name: 'permanent', schema: { type: 'boolean', default: false }, description: 'Skip the trash' },
+        ],
+        responses: {
+          200: { description: 'Playlist moved to trash (with `purgeAt`) or permanently deleted' },
+          403: { description: 'Only the owner can delete a playlist' },
+          404: { description: 'Playlist not found' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/stats': {
+      get: {
+        summary: 'Get playlist statistics',
+        description: 'Track count, total duration, artist, album and genre breakdowns and the most recently changed entry. A manual playlist\'s stats are cached until its entries or the details of one of its tracks change; a smart playlist\'s are computed on every request.',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'Playlist statistics', content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistStats' } } } },
+          404: { description: 'Playlist not found' },
+        },
+      },
+    },
+
+    // --- TRASH ---
+    '/api/v1/playlists/trash': {
+      get: {
+        summary: 'List trashed playlists',
+        description: 'Your deleted playlists, most recently deleted first. Each has a `purgeAt` date after which it is removed for good (null when automatic purging is off).',
+        tags: ['Trash'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'sort', schema: { type: 'string', example: '-deletedAt' }, description: 'Comma-separated fields (name, deletedAt); prefix with - for descending' },
+        ],
+        responses: { 200: { description: 'A page of trashed playlists', content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistPage' } } } } },
+      },
+    },
+    '/api/v1/playlists/{id}/restore': {
+      post: {
+        summary: 'Restore a playlist from the trash',
+        tags: ['Trash'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'Restored playlist', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
+          404: { description: 'Playlist not found in trash' },
+        },
+      },
+    },
+    '/api/v1/tracks/trash': {
+      get: {
+        summary: 'List trashed tracks',
+        description: 'Soft-deleted tracks, most recently deleted first, each with its `purgeAt` date.',
+        tags: ['Trash'],
+        parameters: [
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'sort', schema: { type: 'string', example: '-deletedAt' }, description: 'Comma-separated fields (title, artist, deletedAt); prefix with - for descending' },
+        ],
+        responses: { 200: { description: 'A page of trashed tracks', content: { 'application/json': { schema: { $ref: '#/components/schemas/TrackPage' } } } } },
+      },
+    },
+    '/api/v1/tracks/{id}/restore': {
+      post: {
+        summary: 'Restore a track from the trash',
+        tags: ['Trash'],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'Restored track', content: { 'application/json': { schema: { $ref: '#/components/schemas/Track' } } } },
+          404: { description: 'Track not found in trash' },
+        },
+      },
+    },
+
+    // --- SMART PLAYLISTS ---
+    '/api/v1/playlists/{id}/freeze': {
+      post: {
+        summary: 'Freeze a smart playlist',
+        description: 'Turns a smart playlist into a normal one whose entries are the tracks its rules match right now. Entries of smart playlists cannot be edited individually (409 SMART_PLAYLIST) until frozen.',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: {
+          200: { description: 'The frozen playlist', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
+          404: { description: 'Playlist not found' },
+          409: { description: 'The playlist is not a smart playlist' },
+        },
+      },
+    },
+
+    // --- PLAYLIST IMPORT / EXPORT ---
+    '/api/v1/playlists/{id}/export': {
+      get: {
+        summary: 'Export a playlist',
+        description: 'Download the playlist as M3U (Latin-1), M3U8, XSPF or portable JSON. Entries point at the track\'s original location when it was imported with one, otherwise at its API URL.',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['m3u', 'm3u8', 'xspf', 'json'], default: 'm3u8' } },
+        ],
+        responses: {
+          200: {
+            description: 'Playlist file (sent as an attachment)',
+            content: {
+              'audio/x-mpegurl': { schema: { type: 'string' } },
+              'application/vnd.apple.mpegurl': { schema: { type: 'string' } },
+              'application/xspf+xml': { schema: { type: 'string' } },
+              'application/json': { schema: { type: 'object' } },
+            },
+          },
+          400: { description: 'Unsupported format' },
+          404: { description: 'Playlist not found' },
+        },
+      },
+    },
+    '/api/v1/playlists/import': {
+      post: {
+        summary: 'Import a playlist file',
+        description: 'Send an M3U/M3U8 or XSPF file as the raw body, or portable JSON. Each entry is matched to a library track by title, artist and duration (±3s); unmatched entries become new tracks unless `create=false`. Lines that could not be imported are reported in `unmatched`.',
+        tags: ['Playlists'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['m3u', 'm3u8', 'xspf', 'json'] }, description: 'Detected from the content when omitted' },
+          { in: 'query', name: 'name', schema: { type: 'string' }, description: 'Playlist name (defaults to the title in the file)' },
+          { in: 'query', name: 'create', schema: { type: 'boolean', default: true }, description: 'Create tracks that are not in the library' },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'audio/x-mpegurl': { schema: { type: 'string', example: '#EXTM3U\n#EXTINF:354,Queen - Bohemian Rhapsody\n/music/queen/bohemian.mp3\n' } },
+            'audio/mpegurl': { schema: { type: 'string' } },
+            'application/x-mpegurl': { schema: { type: 'string' } },
+            'application/vnd.apple.mpegurl': { schema: { type: 'string' } },
+            'application/xspf+xml': { schema: { type: 'string' } },
+            'application/xml': { schema: { type: 'string' } },
+            'text/*': { schema: { type: 'string' } },
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  tracks: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: { title: { type: 'string' }, artist: { type: 'string' }, album: { type: 'string' }, duration: { type: 'number' }, location: { type: 'string' }, metadata: { type: 'object' } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Playlist created',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    playlist: { $ref: '#/components/schemas/Playlist' },
+                    format: { type: 'string' },
+                    matched: { type: 'integer' },
+                    created: { type: 'integer' },
+                    unmatched: {
+                      type: 'array',
+                      items: { type: 'object', properties: { line: { type: 'integer' }, text: { type: 'string' }, reason: { type: 'string' } } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Empty body, unsupported format or nothing importable' },
+          413: { description: 'Too many entries' },
+        },
+      },
+    },
+
+    // --- PLAYLIST TRACKS ---
+    '/api/v1/playlists/{id}/tracks': {
+      get: {
+        summary: 'Get all tracks in a playlist',
+        description: 'Entries in play order. For smart playlists they are evaluated from the rules.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        responses: { 200: { description: 'List of tracks' } },
+      },
+      post: {
+        summary: 'Add a track to a playlist',
+        description: 'Provide a `trackId` to add an existing track, or `title` to create and add a new one. With `autoExtend`, the top recommendations for the playlist (see GET /playlists/{id}/recommendations) are appended after it; the body may then be left out to only add recommendations.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'query', name: 'autoExtend', schema: { type: 'integer', minimum: 1, maximum: 50 }, description: 'Also append this many recommended tracks, skipping tracks already in the playlist' },
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                  trackId: { $ref: '#/components/schemas/ObjectId', description: 'ID of an existing track' },
+                  title: { type: 'string', minLength: 1, description: 'Title of a new track to create' },
+                  artist: { type: 'string' },
+                  album: { type: 'string' },
+                  duration: { type: 'number', minimum: 0 },
+                  metadata: { type: 'object' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Track added to playlist',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: { type: 'string' },
+                    entryId: { type: 'string' },
+                    track: { $ref: '#/components/schemas/Track' },
+                    extended: {
+                      type: 'array',
+                      description: 'Recommended tracks appended with autoExtend (may be fewer than asked for)',
+                      items: { type: 'object', properties: { entryId: { type: 'string' }, track: { $ref: '#/components/schemas/Track' } } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid body, or track already in playlist and allowDuplicates is off' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/recommendations': {
+      get: {
+        summary: 'Suggest tracks to add to a playlist',
+        description: 'Library tracks scored by what they share with the playlist\'s tracks: artists, albums, `metadata.genre` and `metadata.tags`, how often they appear in other playlists alongside them, and closeness in `metadata.bpm` and duration. BPM and duration only refine the order. Tracks already in the playlist are left out. `reasons` lists what a track scored for, strongest first.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 50, default: 10 }, description: 'Number of suggestions' },
+        ],
+        responses: {
+          200: {
+            description: 'Suggestions, best first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      track: { $ref: '#/components/schemas/Track' },
+                      score: { type: 'number', example: 5.25 },
+                      reasons: { type: 'array', items: { type: 'string', enum: ['cooccurrence', 'artist', 'album', 'genre', 'tags', 'bpm', 'duration'] } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          404: { description: 'Playlist not found' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/tracks/bulk': {
+      post: {
+        summary: 'Add many tracks to a playlist',
+        description: 'Adds the items in order and saves them as one revision. Each item is `{ trackId }` for an existing track or track details to create a new one. Without `atomic=true`, failed items are skipped and the rest are still added.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { $ref: '#/components/parameters/bulkAtomic' },
+        ],
+        requestBody: bulkBody('`{ trackId }` or track details, as for POST /api/v1/playlists/{id}/tracks.'),
+        responses: { ...bulkResponses, 404: { description: 'Playlist not found' }, 409: { description: 'Smart playlists are not edited by hand' } },
+      },
+    },
+    '/api/v1/playlists/{id}/tracks/order': {
+      put: {
+        summary: 'Reorder all tracks in a playlist',
+        description: 'Send every entryId (or, when no track repeats, every trackId) in the playlist exactly once, in the desired order. Orders are renumbered 1..n.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                properties: { entryIds: { type: 'array', items: { $ref: '#/components/schemas/ObjectId' } }, trackIds: { type: 'array', items: { $ref: '#/components/schemas/ObjectId' } } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Playlist entries sorted by their new order' },
+          400: { description: 'The ordering is not a permutation of the playlist entries' },
+          404: { description: 'Playlist not found' },
+          409: { description: 'Playlist was modified concurrently' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/tracks/{trackId}/move': {
+      post: {
+        summary: 'Move a track within a playlist',
+        description: 'Provide exactly one of `position` (1-based), `before` or `after` (another trackId in the playlist).',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'trackId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                  position: { type: 'integer', minimum: 1, description: 'Target position, clamped to the playlist length' },
+                  before: { $ref: '#/components/schemas/ObjectId', description: 'Place the track directly before this trackId' },
+                  after: { $ref: '#/components/schemas/ObjectId', description: 'Place the track directly after this trackId' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Playlist entries sorted by their new order' },
+          400: { description: 'Invalid or ambiguous move target' },
+          404: { description: 'Playlist, track or anchor track not found' },
+          409: { description: 'Track repeats in the playlist (use the entry route), or playlist was modified concurrently' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/tracks/{trackId}': {
+      put: {
+        summary: 'Update a track entry in a playlist',
+        description: 'Setting `order` moves the track to that position; other entries shift so orders stay contiguous.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'trackId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', additionalProperties: false, properties: { order: { type: 'integer', minimum: 1 }, addedAt: { type: 'string', format: 'date-time' } } },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Entry updated' },
+          404: { description: 'Playlist or track not found' },
+          409: { description: 'Track repeats in the playlist (use the entry route), or playlist was modified concurrently' },
+        },
+      },
+      delete: {
+        summary: 'Remove a track (every occurrence) from a playlist',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'trackId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        responses: { 200: { description: 'Track removed' } },
+      },
+    },
+
+    // --- PLAYLIST ENTRIES ---
+    '/api/v1/playlists/{id}/entries/{entryId}': {
+      put: {
+        summary: 'Update a playlist entry by entry id',
+        description: 'Setting `order` moves the entry to that position; other entries shift so orders stay contiguous.',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'entryId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: { type: 'object', additionalProperties: false, properties: { order: { type: 'integer', minimum: 1 }, addedAt: { type: 'string', format: 'date-time' } } },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Entry updated' },
+          404: { description: 'Playlist or entry not found' },
+          409: { description: 'Playlist was modified concurrently' },
         },
       },
-      Playlist: {
-        type: 'object',
-        properties: {
-          _id: { type: 'string', example: '60d0fe4f5311236168a109cb' },
-          name: { type: 'string', example: 'Road Trip Mix' },
-          description: { type: 'string', example: 'Songs for the drive' },
-          tracks: {
-            type: 'array',
-            items: {
-              type: 'object',
-              properties: {
-                trackId: { type: 'string', example: '60d0fe4f5311236168a109ca' },
-                order: { type: 'integer', example: 1 },
+      delete: {
+        summary: 'Remove a single entry from a playlist',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'entryId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        responses: {
+          200: { description: 'Entry removed' },
+          404: { description: 'Playlist or entry not found' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/entries/{entryId}/move': {
+      post: {
+        summary: 'Move a playlist entry by entry id',
+        description: 'Provide exactly one of `position` (1-based), `before` or `after` (another entryId in the playlist).',
+        tags: ['Playlist Tracks'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'entryId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                  position: { type: 'integer', minimum: 1 },
+                  before: { $ref: '#/components/schemas/ObjectId', description: 'Place the entry directly before this entryId' },
+                  after: { $ref: '#/components/schemas/ObjectId', description: 'Place the entry directly after this entryId' },
+                },
               },
             },
           },
         },
+        responses: {
+          200: { description: 'Playlist entries sorted by their new order' },
+          400: { description: 'Invalid or ambiguous move target' },
+          404: { description: 'Playlist, entry or anchor entry not found' },
+          409: { description: 'Playlist was modified concurrently' },
+        },
       },
     },
-  },
-  paths: {
-    // --- TRACKS ---
-    '/api/v1/tracks': {
+
+    // --- PLAYLIST REVISIONS ---
+    '/api/v1/playlists/{id}/revisions': {
       get: {
-        summary: 'Retrieve all tracks',
-        tags: ['Tracks'],
+        summary: 'List playlist revisions',
+        description: 'Every edit to the name, description or entries of a playlist is recorded as a revision. Newest first; snapshots are omitted.',
+        tags: ['Playlist Revisions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'sort', schema: { type: 'string', enum: ['revision', '-revision'], default: '-revision' } },
+        ],
+        responses: {
+          200: { description: 'A page of revisions', content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistRevisionPage' } } } },
+          404: { description: 'Playlist not found' },
+        },
+      },
+    },
+    '/api/v1/playlists/{id}/revisions/{revision}': {
+      get: {
+        summary: 'View a playlist as of a revision',
+        tags: ['Playlist Revisions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'revision', schema: { type: 'integer', minimum: 1 }, required: true },
+        ],
         responses: {
-          200: { description: 'A list of tracks', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Track' } } } } },
+          200: { description: 'The revision with its snapshot (track details expanded)', content: { 'application/json': { schema: { $ref: '#/components/schemas/PlaylistRevision' } } } },
+          404: { description: 'Playlist or revision not found' },
         },
       },
+    },
+    '/api/v1/playlists/{id}/revisions/{revision}/revert': {
       post: {
-        summary: 'Create a new track',
-        tags: ['Tracks'],
-        requestBody: {
-          required: true,
-          content: { 'application/json': { schema: { type: 'object', properties: { title: { type: 'string' }, artist: { type: 'string' } } } } },
+        summary: 'Revert a playlist to a revision',
+        description: 'Restores the name, description, allowDuplicates and entries (with their entry ids) from the revision. The revert is itself recorded as a new revision. Entries whose track has since been permanently deleted are left out.',
+        tags: ['Playlist Revisions'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'revision', schema: { type: 'integer', minimum: 1 }, required: true },
+        ],
+        responses: {
+          200: { description: 'The reverted playlist', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
+          404: { description: 'Playlist or revision not found' },
         },
+      },
+    },
+
+    // --- SHARING ---
+    '/api/v1/playlists/{id}/fork': {
+      post: {
+        summary: 'Copy a playlist into your own playlists',
+        description: 'Works on any playlist you can view. The copy is private and records where it came from in `forkedFrom`.',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/ForkInput' } } } },
         responses: {
-          201: { description: 'Track created' },
+          201: { description: 'The copy', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
+          404: { description: 'Playlist not found' },
         },
       },
     },
-    '/api/v1/tracks/{id}': {
+    '/api/v1/playlists/{id}/collaborators': {
       get: {
-        summary: 'Get a track by ID',
-        tags: ['Tracks'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
+        summary: 'List the collaborators of a playlist',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
         responses: {
-          200: { description: 'Track details', content: { 'application/json': { schema: { $ref: '#/components/schemas/Track' } } } },
-          404: { description: 'Track not found' },
+          200: { description: 'Collaborators', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Collaborator' } } } } },
+          404: { description: 'Playlist not found' },
         },
       },
+    },
+    '/api/v1/playlists/{id}/collaborators/{userId}': {
       put: {
-        summary: 'Update a track',
-        tags: ['Tracks'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
-        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Track' } } } },
-        responses: { 200: { description: 'Track updated' } },
+        summary: 'Add a collaborator or change their role',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'userId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/CollaboratorInput' } } } },
+        responses: {
+          200: { description: 'The collaborators after the change' },
+          400: { description: 'The owner cannot be a collaborator' },
+          403: { description: 'Only the owner can manage collaborators' },
+          404: { description: 'Playlist or user not found' },
+        },
       },
       delete: {
-        summary: 'Delete a track',
-        tags: ['Tracks'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
-        responses: { 200: { description: 'Track deleted' } },
+        summary: 'Remove a collaborator',
+        description: 'The owner can remove anyone; a collaborator can remove themselves to leave the playlist.',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'userId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        responses: {
+          200: { description: 'Collaborator removed' },
+          403: { description: 'Only the owner can remove other collaborators' },
+          404: { description: 'Playlist or collaborator not found' },
+        },
       },
     },
-
-    // --- PLAYLISTS ---
-    '/api/v1/playlists': {
+    '/api/v1/playlists/{id}/share-links': {
       get: {
-        summary: 'Retrieve all playlists',
-        tags: ['Playlists'],
+        summary: 'List the share links of a playlist',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
         responses: {
-          200: { description: 'List of playlists', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Playlist' } } } } },
+          200: { description: 'Share links (without their tokens)', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/ShareLink' } } } } },
+          403: { description: 'Only the owner can manage share links' },
+          404: { description: 'Playlist not found' },
         },
       },
       post: {
-        summary: 'Create a playlist',
-        tags: ['Playlists'],
-        requestBody: {
-          required: true,
-          content: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' }, description: { type: 'string' } } } } },
+        summary: 'Create a read-only share link',
+        description: 'Anyone with the link can view the playlist without an account. The token is only returned here; store it, as it cannot be retrieved again.',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true }],
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/ShareLinkInput' } } } },
+        responses: {
+          201: {
+            description: 'The link, with its token and URL',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/ShareLink' },
+                    { type: 'object', properties: { token: { type: 'string' }, url: { type: 'string' } } },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: 'expiresAt is in the past' },
+          403: { description: 'Only the owner can manage share links' },
+          404: { description: 'Playlist not found' },
         },
-        responses: { 201: { description: 'Playlist created' } },
       },
     },
-    '/api/v1/playlists/{id}': {
-      get: {
-        summary: 'Get a playlist by ID',
-        tags: ['Playlists'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
-        responses: { 200: { description: 'Playlist found' } },
+    '/api/v1/playlists/{id}/share-links/{linkId}': {
+      delete: {
+        summary: 'Revoke a share link',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+          { in: 'path', name: 'linkId', schema: { $ref: '#/components/schemas/ObjectId' }, required: true },
+        ],
+        responses: {
+          200: { description: 'Share link revoked' },
+          403: { description: 'Only the owner can manage share links' },
+          404: { description: 'Playlist or share link not found' },
+        },
       },
-      put: {
-        summary: 'Update playlist details',
-        tags: ['Playlists'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
-        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
-        responses: { 200: { description: 'Playlist updated' } },
+    },
+    '/api/v1/shared/{token}': {
+      get: {
+        summary: 'View a playlist through a share link',
+        description: 'Needs no authentication. Returns the playlist details and its entries with track details.',
+        tags: ['Sharing'],
+        parameters: [{ in: 'path', name: 'token', schema: { type: 'string' }, required: true }],
+        responses: {
+          200: { description: 'The shared playlist' },
+          404: { description: 'Unknown, revoked or expired link' },
+        },
       },
-      delete: {
-        summary: 'Delete a playlist',
-        tags: ['Playlists'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
-        responses: { 200: { description: 'Playlist deleted' } },
+    },
+    '/api/v1/shared/{token}/fork': {
+      post: {
+        summary: 'Copy a playlist shared by link into your own playlists',
+        tags: ['Sharing'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ in: 'path', name: 'token', schema: { type: 'string' }, required: true }],
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/ForkInput' } } } },
+        responses: {
+          201: { description: 'The copy', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playlist' } } } },
+          404: { description: 'Unknown, revoked or expired link' },
+        },
       },
     },
 
-    // --- PLAYLIST TRACKS ---
-    '/api/v1/playlists/{id}/tracks': {
+    // --- PLAYBACK ---
+    '/api/v1/playback': {
       get: {
-        summary: 'Get all tracks in a playlist',
-        tags: ['Playlist Tracks'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
-        responses: { 200: { description: 'List of tracks' } },
+        summary: 'Get last played track',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        responses: { 200: { description: 'Playback state' } },
       },
       post: {
-        summary: 'Add a track to a playlist',
-        description: 'Provide a `trackId` to add an existing track, or `title` to create and add a new one.',
-        tags: ['Playlist Tracks'],
-        parameters: [{ in: 'path', name: 'id', schema: { type: 'string' }, required: true }],
+        summary: 'Start a playback session',
+        description: 'Play a playlist (`playlistId`), an ad-hoc `queue` of track ids, or a single `trackId`.',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
         requestBody: {
           content: {
             'application/json': {
               schema: {
                 type: 'object',
+                additionalProperties: false,
                 properties: {
-                  trackId: { type: 'string', description: 'ID of an existing track' },
-                  title: { type: 'string', description: 'Title of a new track to create' },
+                  playlistId: { $ref: '#/components/schemas/ObjectId', description: 'Play one of your playlists in order' },
+                  queue: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/ObjectId' }, description: 'Ad-hoc list of track ids' },
+                  trackId: { $ref: '#/components/schemas/ObjectId', description: 'Play a single track' },
+                  startIndex: { type: 'integer', minimum: 0, default: 0, description: 'Queue index to start from' },
+                  shuffle: { type: 'boolean', default: false },
+                  repeat: { type: 'string', enum: ['off', 'one', 'all'], default: 'off' },
+                  position: { type: 'number', minimum: 0 },
+                  isPlaying: { type: 'boolean' },
                 },
               },
             },
           },
         },
-        responses: { 201: { description: 'Track added to playlist' } },
+        responses: {
+          201: { description: 'Session started', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playback' } } } },
+          400: { description: 'Invalid queue, startIndex or repeat mode' },
+          404: { description: 'Playlist or track (queued or single) not found' },
+        },
       },
     },
-    '/api/v1/playlists/{id}/tracks/{trackId}': {
-      delete: {
-        summary: 'Remove a track from a playlist',
-        tags: ['Playlist Tracks'],
+
+    '/api/v1/playback/history': {
+      get: {
+        summary: 'Listening history',
+        description: 'Play events (start, complete, skip) recorded by the playback routes, newest first.',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { in: 'path', name: 'id', schema: { type: 'string' }, required: true },
-          { in: 'path', name: 'trackId', schema: { type: 'string' }, required: true },
+          { $ref: '#/components/parameters/page' },
+          { $ref: '#/components/parameters/limit' },
+          { in: 'query', name: 'type', schema: { type: 'string', enum: ['start', 'complete', 'skip'] } },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' } },
         ],
-        responses: { 200: { description: 'Track removed' } },
+        responses: {
+          200: {
+            description: 'A page of play events',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/PlayEvent' } } } },
+                    { $ref: '#/components/schemas/PageInfo' },
+                  ],
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid parameters' },
+        },
       },
     },
-
-    // --- PLAYBACK ---
-    '/api/v1/playback': {
+    '/api/v1/playback/stats': {
       get: {
-        summary: 'Get last played track',
-        tags: ['Playback'],
-        responses: { 200: { description: 'Playback state' } },
-      },
-      post: {
-        summary: 'Save playback record',
+        summary: 'Listening statistics',
+        description: 'Totals and top tracks/artists/albums/playlists over a time window (defaults to the last 30 days).',
         tags: ['Playback'],
-        requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { trackId: { type: 'string' }, position: { type: 'integer' } } } } } },
-        responses: { 201: { description: 'Record saved' } },
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 }, description: 'Entries per top list' },
+        ],
+        responses: {
+          200: {
+            description: 'Listening statistics',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string', format: 'date-time' },
+                    to: { type: 'string', format: 'date-time' },
+                    totalListeningSeconds: { type: 'number', example: 5432 },
+                    plays: { type: 'integer', example: 40 },
+                    completions: { type: 'integer', example: 31 },
+                    skips: { type: 'integer', example: 9 },
+                    topTracks: {
+                      type: 'array',
+                      items: { type: 'object', properties: { track: { $ref: '#/components/schemas/Track' }, plays: { type: 'integer' }, listenedSeconds: { type: 'number' } } },
+                    },
+                    topArtists: { type: 'array', items: { type: 'object', properties: { artist: { type: 'string' }, plays: { type: 'integer' } } } },
+                    topAlbums: { type: 'array', items: { type: 'object', properties: { album: { type: 'string' }, plays: { type: 'integer' } } } },
+                    playlists: {
+                      type: 'array',
+                      items: { type: 'object', properties: { playlist: { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' } } }, plays: { type: 'integer' } } },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          400: { description: 'Invalid window or limit' },
+        },
       },
     },
 
       //-- PLAYBACK :id ---
       '/api/v1/playback/{id}': {
+      get: {
+        summary: 'Get a playback session',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        responses: {
+          200: { description: 'Playback session', content: { 'application/json': { schema: { $ref: '#/components/schemas/Playback' } } } },
+          404: { description: 'Playback record not found' },
+        },
+      },
       put: {
         summary: 'Update playback state',
         description: 'Update the position and playing status of a playback session.',
         tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { in: 'path', name: 'id', schema: { type: 'string' }, required: true, description: 'Playback Record ID' }
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true, description: 'Playback Record ID' }
         ],
         requestBody: {
           required: true,
@@ -196,8 +1855,9 @@ const swaggerDefinition = {
             'application/json': {
               schema: {
                 type: 'object',
+                additionalProperties: false,
                 properties: {
-                  position: { type: 'integer', description: 'Current playback position in seconds' },
+                  position: { type: 'number', minimum: 0, description: 'Current playback position in seconds' },
                   isPlaying: { type: 'boolean', description: 'Whether the track is currently playing' },
                 },
               },
@@ -212,8 +1872,9 @@ const swaggerDefinition = {
       delete: {
         summary: 'Delete playback record',
         tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
         parameters: [
-          { in: 'path', name: 'id', schema: { type: 'string' }, required: true, description: 'Playback Record ID' }
+          { in: 'path', name: 'id', schema: { $ref: '#/components/schemas/ObjectId' }, required: true, description: 'Playback Record ID' }
         ],
         responses: {
           200: { description: 'Playback record deleted successfully' },
@@ -221,6 +1882,218 @@ const swaggerDefinition = {
         },
       },
     },
+    '/api/v1/playback/{id}/play': {
+      post: {
+        summary: 'Play / resume',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        requestBody: { content: { 'application/json': { schema: { type: 'object', additionalProperties: false, properties: { position: { type: 'number', minimum: 0, description: 'Resume from this position (seconds)' } } } } } },
+        responses: { 200: { description: 'Updated session' }, 400: { description: 'Invalid position or nothing to play' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+    '/api/v1/playback/{id}/pause': {
+      post: {
+        summary: 'Pause',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        requestBody: { content: { 'application/json': { schema: { type: 'object', additionalProperties: false, properties: { position: { type: 'number', minimum: 0, description: 'Position to remember (seconds)' } } } } } },
+        responses: { 200: { description: 'Updated session' }, 400: { description: 'Invalid position' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+    '/api/v1/playback/{id}/seek': {
+      post: {
+        summary: 'Seek within the current track',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', additionalProperties: false, required: ['position'], properties: { position: { type: 'number', minimum: 0 } } } } } },
+        responses: { 200: { description: 'Updated session' }, 400: { description: 'Position is negative or past the end of the track' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+    '/api/v1/playback/{id}/next': {
+      post: {
+        summary: 'Skip to the next track',
+        description: 'Plays the up next queue first, then continues the session order. Send `ended: true` when the track finished on its own so repeat-one replays it. At the end of the queue (repeat off) playback stops.',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                  ended: { type: 'boolean', default: false, description: 'The track finished on its own (recorded as a completion, otherwise a skip)' },
+                  position: { type: 'number', minimum: 0, description: 'Where the outgoing track was skipped (seconds)' },
+                },
+              },
+            },
+          },
+        },
+        responses: { 200: { description: 'Updated session' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+    '/api/v1/playback/{id}/previous': {
+      post: {
+        summary: 'Go back to the previous track',
+        description: 'Restarts the current track instead when more than 3 seconds in.',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        responses: { 200: { description: 'Updated session' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+    '/api/v1/playback/{id}/mode': {
+      put: {
+        summary: 'Change shuffle / repeat mode',
+        description: 'Turning shuffle on shuffles the remaining tracks once; the order stays stable for the session.',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', additionalProperties: false, properties: { shuffle: { type: 'boolean' }, repeat: { type: 'string', enum: ['off', 'one', 'all'] } } } } },
+        },
+        responses: { 200: { description: 'Updated session' }, 400: { description: 'Invalid mode' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+    '/api/v1/playback/{id}/queue': {
+      get: {
+        summary: 'Get what plays next',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }, { $ref: '#/components/parameters/limit' }],
+        responses: {
+          200: {
+            description: 'Current track, up next queue and upcoming tracks in play order',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    current: { $ref: '#/components/schemas/Track' },
+                    upNext: { type: 'array', items: { $ref: '#/components/schemas/Track' } },
+                    upcoming: { type: 'array', items: { $ref: '#/components/schemas/Track' } },
+                  },
+                },
+              },
+            },
+          },
+          404: { description: 'Playback record not found' },
+        },
+      },
+      post: {
+        summary: 'Add a track to up next',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['trackId'],
+                properties: {
+                  trackId: { $ref: '#/components/schemas/ObjectId' },
+                  playNext: { type: 'boolean', default: false, description: 'Play right after the current track instead of at the end of up next' },
+                },
+              },
+            },
+          },
+        },
+        responses: { 200: { description: 'Updated session' }, 400: { description: 'Invalid or unknown trackId' }, 404: { description: 'Playback record not found' } },
+      },
+      delete: {
+        summary: 'Clear up next',
+        tags: ['Playback'],
+        security: [{ bearerAuth: [] }],
+        parameters: [{ $ref: '#/components/parameters/playbackId' }],
+        responses: { 200: { description: 'Updated session' }, 404: { description: 'Playback record not found' } },
+      },
+    },
+
+    // --- EVENTS ---
+    '/api/v1/events': {
+      get: {
+        summary: 'Stream playback and playlist changes (Server-Sent Events)',
+        description: 'A `text/event-stream` of changes to your playback sessions and playlists, for keeping devices in sync or remote control. ' +
+          'Event names: `playback.created`, `playback.updated` (data is the session), `playback.deleted` (data is `{ _id }`), ' +
+          '`playlist.created`, `playlist.updated`, `playlist.deleted`, `playlist.restored` (data summarises the playlist: `_id`, `name`, `type`, `revision`, `action`, `updatedAt`, `deletedAt`). ' +
+          'Each message is JSON `{ type, clientId, at, data }`. Reconnect with `Last-Event-ID` to receive missed events; ' +
+          'a `resync` event means they are no longer available and the client should fetch its state again. ' +
+          'Browsers\' EventSource cannot send an Authorization header, so the token may be passed as `access_token`.',
+        tags: ['Events'],
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'access_token', schema: { type: 'string' }, description: 'Bearer token, for clients that cannot set headers' },
+          { in: 'header', name: 'Last-Event-ID', schema: { type: 'string' }, description: 'Id of the last event received' },
+          { in: 'query', name: 'lastEventId', schema: { type: 'string' }, description: 'Same as Last-Event-ID, for a first connection that resumes an earlier one' },
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string', example: 'id: 3f2a9c1d.42\nevent: playback.updated\ndata: {"type":"playback.updated","clientId":"phone","at":"2025-01-01T12:00:00.000Z","data":{"_id":"..."}}\n\n' } } } },
+          401: { description: 'Missing or invalid token' },
+        },
+      },
+    },
+  },
+};
+
+// Tracks and playlists are versioned: reads return an ETag, writes (including entry
+// changes, which version the playlist) honour If-Match.
+const conditionalReads = ['/api/v1/tracks/{id}', '/api/v1/playlists/{id}', '/api/v1/playlists/{id}/tracks'];
+const conditionalWrites = [
+  '/api/v1/tracks/{id}',
+  '/api/v1/tracks/{id}/file',
+  '/api/v1/tracks/merge',
+  '/api/v1/tracks/{id}/restore',
+  '/api/v1/playlists/{id}',
+  '/api/v1/playlists/{id}/restore',
+  '/api/v1/playlists/{id}/freeze',
+  '/api/v1/playlists/{id}/tracks',
+  '/api/v1/playlists/{id}/tracks/order',
+  '/api/v1/playlists/{id}/tracks/bulk',
+  '/api/v1/playlists/{id}/tracks/{trackId}',
+  '/api/v1/playlists/{id}/tracks/{trackId}/move',
+  '/api/v1/playlists/{id}/entries/{entryId}',
+  '/api/v1/playlists/{id}/entries/{entryId}/move',
+  '/api/v1/playlists/{id}/revisions/{revision}/revert',
+  '/api/v1/playlists/{id}/collaborators/{userId}',
+];
+const etagHeader = {
+  ETag: {
+    schema: { type: 'string', example: '"v3"' },
+    description: 'Current version of the resource. Playlists read with their tracks add a hash of the tracks\' versions ("v3-<hash>"), which changes when a track is edited; If-Match accepts either form.',
   },
 };
+
+for (const path of conditionalReads) {
+  const operation = swaggerDefinition.paths[path].get;
+  operation.parameters = [...(operation.parameters || []), { $ref: '#/components/parameters/ifNoneMatch' }];
+  operation.responses[200] = { ...operation.responses[200], headers: etagHeader };
+  operation.responses[304] = { description: 'Not modified since the ETag given in If-None-Match' };
+}
+for (const path of conditionalWrites) {
+  for (const method of ['post', 'put', 'delete']) {
+    const operation = swaggerDefinition.paths[path][method];
+    if (!operation) continue;
+    operation.parameters = [...(operation.parameters || []), { $ref: '#/components/parameters/ifMatch' }];
+    operation.responses[412] = { description: 'If-Match does not match the current ETag' };
+  }
+}
+
+// Everything under /api/v1 is rate limited, and routes that take a login token (other
+// than key management) also take an API key
+for (const [path, item] of Object.entries(swaggerDefinition.paths)) {
+  for (const operation of Object.values(item)) {
+    const bearer = operation.security?.some(requirement => requirement.bearerAuth);
+    if (bearer && !path.startsWith('/api/v1/api-keys')) operation.security = [...operation.security, { apiKeyAuth: [] }];
+    if (path.startsWith('/api/v1/')) operation.responses[429] = { description: 'Rate limit exceeded; retry after `Retry-After` seconds' };
+  }
+}
+
 module.exports = swaggerDefinition;
\ No newline at end of file
@@ -0,0 +1,154 @@
+// ==============================
+// Request validation from the OpenAPI spec
+// Path params, query strings and JSON bodies are checked against swagger.js
+// ==============================
+
+const express = require('express');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { RequestValidationError, UnsupportedMediaTypeError } = require('./errors');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Schemas reference each other as '#/components/...'; they are registered
+// under this id so each compiled fragment can still resolve them.
+const SPEC_ID = 'openapi';
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+// Rewrite local $refs so they resolve against the registered spec
+function qualifyRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(qualifyRefs);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => (
+    key === '$ref' && typeof value === 'string' && value.startsWith('#/')
+      ? [key, `${SPEC_ID}${value}`]
+      : [key, qualifyRefs(value)]
+  )));
+}
+
+// Resolve a '#/components/parameters/x' style reference against the spec
+function resolveRef(spec, item) {
+  if (!item.$ref) return item;
+  return item.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+}
+
+// '/api/v1/tracks/{id}' -> '/api/v1/tracks/:id'
+function toExpressPath(path) {
+  return path.replace(/\{(\w+)\}/g, ':$1');
+}
+
+// Literal segments must be tried before parameters ('/tracks/order' before '/tracks/:trackId')
+function compareSpecPaths(a, b) {
+  const segmentsA = a.split('/');
+  const segmentsB = b.split('/');
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    const paramA = segmentsA[i].startsWith('{');
+    const paramB = segmentsB[i].startsWith('{');
+    if (paramA !== paramB) return paramA ? 1 : -1;
+  }
+  return 0;
+}
+
+// Turn Ajv errors into { location, field, message } entries
+function formatErrors(location, errors) {
+  return errors.map(error => {
+    const path = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') path.push(error.params.missingProperty);
+    if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty);
+
+    let message = error.message;
+    if (error.keyword === 'required') message = 'is required';
+    if (error.keyword === 'additionalProperties') message = 'is not allowed';
+    if (error.keyword === 'enum') message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    if (error.keyword === 'pattern' && error.params.pattern === OBJECT_ID_PATTERN) message = 'must be a valid ObjectId';
+
+    return { location, field: path.join('.') || location, message };
+  });
+}
+
+// Build the object schema for one kind of parameter ('path' or 'query')
+function parameterSchema(parameters, location) {
+  const own = parameters.filter(p => p.in === location);
+  if (!own.length) return null;
+  return {
+    type: 'object',
+    properties: Object.fromEntries(own.map(p => [p.name, p.schema || {}])),
+    required: own.filter(p => p.required).map(p => p.name),
+  };
+}
+
+// Ajv instance that can resolve the spec's component $refs
+function createAjv(spec, options = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema({ $id: SPEC_ID, components: qualifyRefs(spec.components) });
+  return ajv;
+}
+
+// Check single values against a component schema, e.g. the items of a bulk request.
+// Returns a function giving the { location, field, message } problems (none when valid).
+function schemaValidator(spec, name, location = 'body') {
+  const validate = createAjv(spec).compile({ $ref: `${SPEC_ID}#/components/schemas/${name}` });
+  return value => (validate(value) ? [] : formatErrors(location, validate.errors));
+}
+
+// Express router that validates every request matching a documented operation.
+// Invalid requests fail with a RequestValidationError listing every field problem.
+function openApiValidator(spec) {
+  // Bodies are validated as sent; path and query values arrive as strings and are coerced
+  const bodyAjv = createAjv(spec);
+  const paramAjv = createAjv(spec, { coerceTypes: 'array' });
+
+  const router = express.Router();
+  const paths = Object.keys(spec.paths).sort(compareSpecPaths);
+
+  for (const path of paths) {
+    for (const method of METHODS) {
+      const operation = spec.paths[path][method];
+      if (!operation) continue;
+
+      const parameters = (operation.parameters || []).map(p => resolveRef(spec, p));
+      const pathSchema = parameterSchema(parameters, 'path');
+      const querySchema = parameterSchema(parameters, 'query');
+      const bodySpec = operation.requestBody;
+      const jsonBodySchema = bodySpec?.content?.['application/json']?.schema;
+
+      const validatePath = pathSchema && paramAjv.compile(qualifyRefs(pathSchema));
+      const validateQuery = querySchema && paramAjv.compile(qualifyRefs(querySchema));
+      const validateBody = jsonBodySchema && bodyAjv.compile(qualifyRefs(jsonBodySchema));
+
+      router[method](toExpressPath(path), (req, res, next) => {
+        const errors = [];
+
+        if (validatePath && !validatePath({ ...req.params })) {
+          errors.push(...formatErrors('path', validatePath.errors));
+        }
+        if (validateQuery && !validateQuery({ ...req.query })) {
+          errors.push(...formatErrors('query', validateQuery.errors));
+        }
+
+        // JSON is parsed by now; other types (e.g. playlist files) are parsed by their route
+        const isJson = Boolean(req.is('application/json'));
+        const hasBody = isJson
+          ? req.body !== undefined && !(typeof req.body === 'object' && !Object.keys(req.body).length)
+          : req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+        if (bodySpec && hasBody && !req.is(Object.keys(bodySpec.content))) {
+          return next(new UnsupportedMediaTypeError(`Content-Type must be one of: ${Object.keys(bodySpec.content).join(', ')}`));
+        }
+        if (bodySpec?.required && !hasBody) {
+          errors.push({ location: 'body', field: 'body', message: 'is required' });
+        } else if (validateBody && hasBody && isJson && !validateBody(req.body)) {
+          errors.push(...formatErrors('body', validateBody.errors));
+        }
+
+        if (errors.length) return next(new RequestValidationError(errors));
+        // Only the most specific documented route validates a request
+        next('router');
+      });
+    }
+  }
+
+  return router;
+}
+
+module.exports = { openApiValidator, schemaValidator };